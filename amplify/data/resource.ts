@@ -1,17 +1,44 @@
 import { type ClientSchema, a, defineData } from '@aws-amplify/backend';
 
-/*== STEP 1 ===============================================================
-The section below creates a Todo database table with a "content" field. Try
-adding a new "isDone" field as a boolean. The authorization rule below
-specifies that any unauthenticated user can "create", "read", "update", 
-and "delete" any "Todo" records.
+/*== Conversation history ==================================================
+Chat sessions and their messages are stored per user. The owner rule below
+restricts every record to the Cognito user who created it, so users can only
+read, update and delete their own conversations.
+
+A Conversation is identified by the chat sessionId used by the agent. Its
+title can be renamed and the conversation pinned or, for imported
+transcripts, marked read-only; profileId is the agent profile the conversation
+talks to and lastActivityAt records the latest message so renaming does not
+reorder conversations. Each Message belongs to a conversation and is ordered
+by `position`. Fields other than sender and text (traces, citations,
+attachments, status...) are kept in the `details` JSON field so the schema
+does not change with every message feature.
 =========================================================================*/
 const schema = a.schema({
-  Todo: a
+  Conversation: a
     .model({
-      content: a.string(),
+      sessionId: a.string().required(),
+      title: a.string(),
+      pinned: a.boolean(),
+      readOnly: a.boolean(),
+      profileId: a.string(),
+      lastActivityAt: a.datetime(),
+      messages: a.hasMany('Message', 'sessionId'),
     })
-    .authorization((allow) => [allow.guest()]),
+    .identifier(['sessionId'])
+    .authorization((allow) => [allow.owner()]),
+  Message: a
+    .model({
+      sessionId: a.string().required(),
+      messageId: a.string().required(),
+      conversation: a.belongsTo('Conversation', 'sessionId'),
+      position: a.integer().required(),
+      sender: a.string().required(),
+      text: a.string(),
+      details: a.json(),
+    })
+    .identifier(['sessionId', 'messageId'])
+    .authorization((allow) => [allow.owner()]),
 });
 
 export type Schema = ClientSchema<typeof schema>;
@@ -19,35 +46,6 @@ export type Schema = ClientSchema<typeof schema>;
 export const data = defineData({
   schema,
   authorizationModes: {
-    defaultAuthorizationMode: 'iam',
+    defaultAuthorizationMode: 'userPool',
   },
 });
-
-/*== STEP 2 ===============================================================
-Go to your frontend source code. From your client-side code, generate a
-Data client to make CRUDL requests to your table. (THIS SNIPPET WILL ONLY
-WORK IN THE FRONTEND CODE FILE.)
-
-Using JavaScript or Next.js React Server Components, Middleware, Server 
-Actions or Pages Router? Review how to generate Data clients for those use
-cases: https://docs.amplify.aws/gen2/build-a-backend/data/connect-to-API/
-=========================================================================*/
-
-/*
-"use client"
-import { generateClient } from "aws-amplify/data";
-import type { Schema } from "@/amplify/data/resource";
-
-const client = generateClient<Schema>() // use this Data client for CRUDL requests
-*/
-
-/*== STEP 3 ===============================================================
-Fetch records from the database and use them in your frontend component.
-(THIS SNIPPET WILL ONLY WORK IN THE FRONTEND CODE FILE.)
-=========================================================================*/
-
-/* For example, in a React component, you can use this snippet in your
-  function's RETURN statement */
-// const { data: todos } = await client.models.Todo.list()
-
-// return <ul>{todos.map(todo => <li key={todo.id}>{todo.content}</li>)}</ul>
@@ -0,0 +1,52 @@
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Icon
+} from "@cloudscape-design/components";
+import { formatFileSize, toDataUrl } from './js/attachments';
+import './AttachmentsComponent.css';
+
+/**
+ * Files attached to a chat message
+ * Files with content are rendered as inline images or download links, the others as chips
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.files - Files stored on the message ({ name, mediaType, size, data? })
+ * @returns {JSX.Element} The list of files
+ */
+const AttachmentsComponent = ({ files }) => {
+  return (
+    <div className="message-attachments">
+      {files.map((file, index) => {
+        if (file.data && file.mediaType?.startsWith('image/')) {
+          return (
+            <a key={index} href={toDataUrl(file)} download={file.name} title={file.name}>
+              <img className="attachment-image" src={toDataUrl(file)} alt={file.name} />
+            </a>
+          );
+        }
+        const chip = (
+          <span className="attachment-chip">
+            <Icon name="file" size="small" /> {file.name}
+            {file.size > 0 && <Box variant="small" color="text-body-secondary" display="inline"> ({formatFileSize(file.size)})</Box>}
+          </span>
+        );
+        return file.data ? (
+          <a key={index} href={toDataUrl(file)} download={file.name}>{chip}</a>
+        ) : (
+          <span key={index}>{chip}</span>
+        );
+      })}
+    </div>
+  );
+};
+
+AttachmentsComponent.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    mediaType: PropTypes.string,
+    size: PropTypes.number,
+    data: PropTypes.string
+  })).isRequired
+};
+
+export default AttachmentsComponent;
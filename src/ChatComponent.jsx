@@ -1,29 +1,102 @@
 import useSpeechToText from './js/useSpeechToText';
+import useTextToSpeech from './js/useTextToSpeech';
 import { useState, useEffect, useRef, useCallback } from 'react';
-import ReactMarkdown from "react-markdown"
-import rehypeRaw from 'rehype-raw'
 import ChatBubble from "@cloudscape-design/chat-components/chat-bubble";
 import Avatar from "@cloudscape-design/chat-components/avatar";
-import LoadingBar from "@cloudscape-design/chat-components/loading-bar";
 import LiveRegion from "@cloudscape-design/components/live-region";
 import Box from "@cloudscape-design/components/box";
+import FileDropzone, { useFilesDragging } from "@cloudscape-design/components/file-dropzone";
 import {
+  Alert,
   Container,
+  FileTokenGroup,
   Form,
   FormField,
   PromptInput,
   Button,
   Modal,
   SpaceBetween,
+  StatusIndicator,
+  ToggleButton,
   TopNavigation
 } from "@cloudscape-design/components";
 import PropTypes from 'prop-types';
 import { fetchAuthSession, signOut } from 'aws-amplify/auth';
-import { BedrockAgentRuntimeClient, InvokeAgentCommand } from "@aws-sdk/client-bedrock-agent-runtime";
-import { BedrockAgentCoreClient, InvokeAgentRuntimeCommand } from "@aws-sdk/client-bedrock-agentcore";
-import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
+import { resolveProvider } from './js/providers';
+import { getProfiles, findProfile, profileName } from './js/profiles';
+import { toTraceSteps } from './js/traceSteps';
+import { addCitations, insertCitationMarkers } from './js/citations';
+import { ACCEPTED_EXTENSIONS, validateAttachments, readAttachment, toStoredFiles } from './js/attachments';
+import {
+  createHistoryStore,
+  isServerSideHistory,
+  migrateLocalHistory,
+  migrateLegacySessions,
+  readLegacySessions,
+  purgeLegacySessions
+} from './js/history';
+import {
+  toMarkdown,
+  toJsonExport,
+  toPrintableHtml,
+  toFeedbackExport,
+  parseJsonExport,
+  exportFileName,
+  downloadFile,
+  openPrintView
+} from './js/conversationExport';
+import TraceComponent from './TraceComponent';
+import MarkdownComponent from './MarkdownComponent';
+import CitationsComponent from './CitationsComponent';
+import ReturnControlComponent from './ReturnControlComponent';
+import AttachmentsComponent from './AttachmentsComponent';
+import MessageActionsComponent from './MessageActionsComponent';
+import MessageEditorComponent from './MessageEditorComponent';
+import { getDefaultConfig } from './js/defaultConfig';
+import { readStoredConfig } from './js/configSchema';
+import { classifyError, withRetry } from './js/agentErrors';
+import { buildConversationContext } from './js/conversationHistory';
+import { appendDictation, describeDictationError } from './js/dictation';
+import { configFileName, toConfigExport, parseConfigFile } from './js/configFile';
+import SessionsComponent from './SessionsComponent';
 import './ChatComponent.css';
 
+/**
+ * Generates a unique identifier for a chat message
+ * @returns {string} Message identifier
+ */
+const createMessageId = () => `msg-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+
+/**
+ * Generates a unique identifier for a chat session
+ * Uses timestamp and random parts as session identifier
+ * @returns {string} Session identifier
+ */
+const createSessionId = () => `agentcore-session-${Date.now()}-${Math.random().toString(36).substring(2, 15)}-${Math.random().toString(36).substring(2, 15)}`;
+
+/**
+ * Prepares messages for the history store
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {Array<Object>} Messages without the content of large returned files
+ */
+const toStorableMessages = (messages) => messages.map(message => (
+  message.files ? { ...message, files: toStoredFiles(message.files) } : message
+));
+
+/**
+ * Credential provider given to the SDK clients
+ * Reads the identity pool credentials from the Amplify session, which renews them once they expire,
+ * so clients keep working in long conversations
+ * @returns {Promise<Object>} AWS credentials
+ */
+const sessionCredentials = async () => {
+  const { credentials } = await fetchAuthSession();
+  if (!credentials) {
+    throw new Error('No AWS credentials are available for the signed in user');
+  }
+  return credentials;
+};
+
 /**
  * Main chat interface component that handles message interaction with Bedrock agent
  * @param {Object} props - Component properties
@@ -33,49 +106,147 @@ import './ChatComponent.css';
  * @returns {JSX.Element} The chat interface
  */
 const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
-  // AWS Bedrock client instance for agent communication
-  const [bedrockClient, setBedrockClient] = useState(null);
-  // AWS Lambda client for Strands agent communication
-  const [lambdaClient, setLambdaClient] = useState(null);
-  // AgentCore client for AgentCore agent communication
-  const [agentCoreClient, setAgentCoreClient] = useState(null);
+  // Provider adapter selected by the configuration (Bedrock, Strands or AgentCore)
+  const [provider, setProvider] = useState(null);
+  // AWS SDK client created by the provider for agent communication
+  const [agentClient, setAgentClient] = useState(null);
   // Array of chat messages in the conversation
   const [messages, setMessages] = useState([]);
   // Current message being composed by the user
   const [newMessage, setNewMessage] = useState('');
+  // Files attached to the message being composed
+  const [attachedFiles, setAttachedFiles] = useState([]);
+  // Validation error for the attached files
+  const [attachmentError, setAttachmentError] = useState('');
+  // Hidden file input opened by the attachment button
+  const fileInputRef = useRef(null);
+  // True while the user drags files over the page
+  const { areFilesDragging } = useFilesDragging();
   // Unique identifier for the current chat session
   const [sessionId, setSessionId] = useState(null);
   // Reference to automatically scroll to latest messages
   const messagesEndRef = useRef(null);
   // Tracks when the AI agent is processing a response
   const [isAgentResponding, setIsAgentResponding] = useState(false);
+  // Controller used to abort the in-flight agent request
+  const abortControllerRef = useRef(null);
   // Controls visibility of the clear conversation modal
   const [showClearDataModal, setShowClearDataModal] = useState(false);
+  // Hidden file input used to pick a configuration file
+  const configInputRef = useRef(null);
+  // Configuration read from an imported file waiting for confirmation, or the reason it was rejected
+  const [configImport, setConfigImport] = useState(null);
+  // Number of sessions saved without a user by earlier versions, offered to the user when history is on the server
+  const [legacySessionCount, setLegacySessionCount] = useState(0);
+  // Number of such sessions deleted from this browser, reported once
+  const [discardedLegacyCount, setDiscardedLegacyCount] = useState(0);
+  // Requests of the agent messages that failed, by message identifier, for the Retry button
+  const failedRequestsRef = useRef(new Map());
+  // Explains that a failed request is being retried automatically
+  const [retryStatus, setRetryStatus] = useState('');
+  // User message whose prompt is being edited
+  const [editingMessageId, setEditingMessageId] = useState(null);
   // Name of the AI agent for display purposes
   const [agentName, setAgentName] = useState({ value: 'Agent' });
   // Tracks completed tasks and their explanation
   const [tasksCompleted, setTasksCompleted] = useState({ count: 0, latestRationale: '' });
-  // Flag to determine if using Strands Agent
-  const [isStrandsAgent, setIsStrandsAgent] = useState(false);
-  // Flag to determine if using AgentCore Agent
-  const [isAgentCoreAgent, setIsAgentCoreAgent] = useState(false);
   // Array of all sessions
   const [sessions, setSessions] = useState([]);
+  // Controls visibility of the conversations sidebar
+  const [showSessions, setShowSessions] = useState(false);
+  // True if the open session was imported read-only
+  const isReadOnly = !!sessions.find(session => session.sessionId === sessionId)?.readOnly;
+  // Conversation history storage (localStorage or Amplify Data API) selected by the configuration
+  const [historyStore] = useState(() => createHistoryStore(readStoredConfig().config, user));
+  // localStorage key remembering the last session of the signed in user
+  const lastSessionKey = `lastSessionId_${user.userId}`;
+  // localStorage key remembering the agent profile of the user's last session
+  const lastProfileKey = `lastProfileId_${user.userId}`;
+  // Agent profiles defined in the configuration
+  const [profiles] = useState(() => getProfiles(readStoredConfig().config));
+  // Whether the sanitized HTML of agent responses is rendered
+  const [allowHtml] = useState(() => readStoredConfig().config?.display?.allowHtml !== false);
+  // Voice and rate used to read agent responses aloud
+  const [speechSettings] = useState(() => readStoredConfig().config?.speech);
+  // Hands-free mode: responses are read aloud, then the next prompt is dictated and sent
+  const [isHandsFree, setIsHandsFree] = useState(false);
+  // Read by callbacks that outlive the render they were created in
+  const handsFreeRef = useRef(false);
+  // True while listening for a prompt that is sent as soon as the user stops talking
+  const handsFreeListeningRef = useRef(false);
+  // Agent profile the open session talks to
+  const [profileId, setProfileId] = useState(() => (
+    findProfile(readStoredConfig().config, localStorage.getItem(lastProfileKey))?.id
+  ));
 
-  // Effect hook to load sessions from localStorage
+  /**
+   * Reloads the list of stored sessions shown in the conversation menu
+   */
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await historyStore.listSessions());
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  }, [historyStore]);
+
+  /**
+   * Searches the text of every stored message
+   * @param {string} query - Searched text
+   * @returns {Promise<Array<Object>>} { sessionId, messageId, snippet } of the matching sessions
+   */
+  const searchSessions = useCallback((query) => historyStore.searchSessions(query), [historyStore]);
+
+  // Effect hook to load sessions from the history store
   useEffect(() => {
-    const sessionData = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key.startsWith('messages_agentcore-session-')) {
-        const value = localStorage.getItem(key);
-        const JSONValue = value ? JSON.parse(value) : null;
-        const title = JSONValue?.length > 0 ? JSONValue[0].text : null;
-        title && sessionData.push({ key, title });
-      }
+    refreshSessions();
+  }, [sessionId, refreshSessions]);
+
+  // Effect hook to move sessions kept in localStorage to the server on first login
+  useEffect(() => {
+    if (!isServerSideHistory(readStoredConfig().config)) {
+      return;
     }
-    setSessions(sessionData);
-  }, [sessionId]);
+    migrateLocalHistory(historyStore, user)
+      .then(migrated => {
+        if (migrated > 0) {
+          console.log(`Migrated ${migrated} local sessions to the server`);
+          refreshSessions();
+        }
+      })
+      .catch(error => console.error('Error migrating local sessions:', error));
+  }, [historyStore, user, refreshSessions]);
+
+  // Effect hook for the sessions saved in plaintext without a user by earlier versions: with server-side history
+  // the user decides whether to move them to their history, otherwise they are deleted
+  useEffect(() => {
+    const legacySessions = readLegacySessions();
+    if (legacySessions.length > 0 && isServerSideHistory(readStoredConfig().config)) {
+      setLegacySessionCount(legacySessions.length);
+      return;
+    }
+    purgeLegacySessions();
+    setDiscardedLegacyCount(legacySessions.length);
+  }, []);
+
+  /**
+   * Moves the sessions of earlier versions to the user's server-side history
+   */
+  const moveLegacySessions = async () => {
+    setLegacySessionCount(0);
+    const migrated = await migrateLegacySessions(historyStore);
+    if (migrated > 0) {
+      refreshSessions();
+    }
+  };
+
+  /**
+   * Deletes the sessions of earlier versions without keeping them
+   */
+  const discardLegacySessions = () => {
+    purgeLegacySessions();
+    setLegacySessionCount(0);
+  };
 
   /**
   * Scrolls the chat window to the most recent message
@@ -95,167 +266,386 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
   /**
   Lines added for Speech to Text functionality
    */
-  const { transcript, isListening, startListening, stopListening, speechRecognitionSupported } = useSpeechToText();
+  const {
+    transcript,
+    interimTranscript,
+    isListening,
+    error: dictationError,
+    startListening,
+    stopListening,
+    abortListening,
+    discardInterim,
+    setTranscript,
+    clearError: clearDictationError,
+    speechRecognitionSupported
+  } = useSpeechToText(speechSettings);
   console.log('Speech Recognition Supported', speechRecognitionSupported);
+  // Text of the prompt when dictation started; dictated text is appended to it
+  const dictationBaseRef = useRef('');
+  // Latest text of the prompt, read when dictation is started by a callback of an earlier render
+  const newMessageRef = useRef(newMessage);
+  newMessageRef.current = newMessage;
+  // Prompt as shown and sent: the text followed by the words still being recognized
+  const promptValue = isListening && interimTranscript ? appendDictation(newMessage, interimTranscript) : newMessage;
   useEffect(() => {
     if (transcript) {
-      setNewMessage(transcript.trim());
+      setNewMessage(appendDictation(dictationBaseRef.current, transcript));
       scrollToBottom();
     }
   }, [transcript]);
 
+  /**
+   * Starts dictating after the text already in the prompt
+   * @param {Object} [options] - Listening options of useSpeechToText
+   */
+  const startDictation = (options) => {
+    dictationBaseRef.current = newMessageRef.current;
+    startListening(options);
+  };
+
+  // Text to speech for agent responses
+  const { speak, stop: stopSpeaking, speakingId, speechSynthesisSupported } = useTextToSpeech(speechSettings);
 
   /**
-   * Handles the confirmation action for clearing conversation data
+   * Listens for the next prompt in hands-free mode
+   */
+  const listenHandsFree = () => {
+    if (handsFreeRef.current) {
+      handsFreeListeningRef.current = true;
+      // One phrase at a time: the prompt is sent when the user stops talking
+      startDictation({ continuous: false });
+    }
+  };
+
+  /**
+   * Turns hands-free mode on, listening right away, or off
+   * @param {boolean} enabled - New state of the mode
+   */
+  const toggleHandsFree = (enabled) => {
+    handsFreeRef.current = enabled;
+    setIsHandsFree(enabled);
+    if (enabled) {
+      listenHandsFree();
+    } else {
+      handsFreeListeningRef.current = false;
+      stopSpeaking();
+      stopListening();
+    }
+  };
+
+
+  /**
+   * Removes the signed in user's local history and the last session pointer
    */
+  const purgeLocalHistory = async () => {
+    try {
+      await historyStore.purgeLocalData();
+    } catch (error) {
+      console.error('Error purging local history:', error);
+    }
+    localStorage.removeItem(lastSessionKey);
+  };
+
   /**
    * Handles the confirmation action for clearing conversation data
-   * Clears all local storage and reloads the application
+   * Deletes the configuration and the current user's local history, signs out and reloads the application
+   * Data written to localStorage by other users or other applications on this origin is left untouched
    */
-  const confirmClearData = () => {
-    // Clear all stored data from localStorage
-    localStorage.clear();
+  const confirmClearData = async () => {
+    await purgeLocalHistory();
+    localStorage.removeItem('appConfig');
+    try {
+      await signOut();
+    } catch (error) {
+      console.error('Error signing out: ', error);
+    }
     // Reload the application to reset state
     window.location.reload();
   };
 
+  /**
+   * Downloads the application configuration as a JSON file
+   */
+  const exportConfig = () => {
+    downloadFile(configFileName(), toConfigExport(readStoredConfig().config), 'application/json');
+  };
+
+  /**
+   * Reads a configuration file picked by the user and asks for confirmation before applying it
+   * @param {File} file - Picked file
+   */
+  const importConfig = async (file) => {
+    try {
+      setConfigImport({ config: parseConfigFile(await file.text(), getDefaultConfig()) });
+    } catch (error) {
+      console.error('Error importing configuration:', error);
+      setConfigImport({ error: error.message });
+    }
+  };
+
+  /**
+   * Saves the imported configuration and reloads the application with it
+   */
+  const confirmConfigImport = () => {
+    localStorage.setItem('appConfig', JSON.stringify(configImport.config));
+    window.location.reload();
+  };
+
+  /**
+   * Makes an agent profile the one the chat talks to
+   * @param {string} newProfileId - Profile identifier
+   */
+  const activateProfile = useCallback((newProfileId) => {
+    // Nothing is sent until the client of the new profile is ready
+    setAgentClient(null);
+    setProfileId(newProfileId);
+    localStorage.setItem(lastProfileKey, newProfileId);
+  }, [lastProfileKey]);
+
   /**
    * Creates a new chat session with a unique identifier
    * Clears existing messages and initializes storage for the new session
    * Uses timestamp as session identifier
+   * @param {string} [sessionProfileId] - Agent profile of the session, the current one by default
    */
-  const createNewSession = useCallback(() => {
+  const createNewSession = useCallback((sessionProfileId = profileId) => {
     // Generate new session ID using current timestamp
-    const newSessionId = `agentcore-session-${Date.now()}-${Math.random().toString(36).substring(2, 15)}-${Math.random().toString(36).substring(2, 15)}`;
+    const newSessionId = createSessionId();
     // Update session state
     setSessionId(newSessionId);
     // Clear existing messages
     setMessages([]);
-    // Store session information in localStorage
-    localStorage.setItem('lastSessionId', newSessionId);
-    localStorage.setItem(`messages_${newSessionId}`, JSON.stringify([]));
+    // Remember the session and prepare its storage
+    localStorage.setItem(lastSessionKey, newSessionId);
+    historyStore.createSession(newSessionId, { profileId: sessionProfileId })
+      .catch(error => console.error('Error creating session:', error));
     console.log('New session created:', newSessionId);
-  }, []);
+  }, [historyStore, lastSessionKey, profileId]);
 
   /**
-   * Retrieves messages for a specific chat session from localStorage
+   * Retrieves messages for a specific chat session from the history store
    * @param {string} sessionId - The identifier of the session to fetch messages for
-   * @returns {Array} Array of messages for the session, or empty array if none found
+   * @returns {Promise<Array>} Array of messages for the session, or empty array if none found
    */
-  const fetchMessagesForSession = useCallback((sessionId) => {
-    const storedMessages = localStorage.getItem(`messages_${sessionId}`);
-    return storedMessages ? JSON.parse(storedMessages) : [];
-  }, []);
+  const fetchMessagesForSession = useCallback(async (sessionId) => {
+    try {
+      return await historyStore.fetchMessages(sessionId);
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      return [];
+    }
+  }, [historyStore]);
 
   /**
-   * Persists messages to localStorage for a specific session
-   * Merges new messages with existing ones before storing
+   * Persists messages to the history store for a specific session
+   * Appends new messages after the existing ones
    * @param {string} sessionId - The identifier of the session to store messages for
    * @param {Array} newMessages - New messages to add to storage
    */
   const storeMessages = useCallback((sessionId, newMessages) => {
-    // Retrieve existing messages for the session
-    const currentMessages = fetchMessagesForSession(sessionId);
-    // Merge existing and new messages
-    const updatedMessages = [...currentMessages, ...newMessages];
-    // Save updated message list to localStorage
-    localStorage.setItem(`messages_${sessionId}`, JSON.stringify(updatedMessages));
-  }, [fetchMessagesForSession]);
+    historyStore.appendMessages(sessionId, toStorableMessages(newMessages))
+      .catch(error => console.error('Error storing messages:', error));
+  }, [historyStore]);
+
+  /**
+   * Applies changes to a message already persisted in the history store
+   * @param {string} sessionId - The identifier of the session the message belongs to
+   * @param {string} messageId - Identifier of the message to update
+   * @param {Object} changes - Message fields to overwrite
+   */
+  const updateStoredMessage = useCallback((sessionId, messageId, changes) => {
+    historyStore.updateMessage(sessionId, messageId, changes)
+      .catch(error => console.error('Error updating stored message:', error));
+  }, [historyStore]);
+
+  /**
+   * Applies changes to a single message of the current conversation
+   * @param {string} messageId - Identifier of the message to update
+   * @param {Object} changes - Message fields to overwrite
+   */
+  const updateMessage = useCallback((messageId, changes) => {
+    setMessages(prevMessages => prevMessages.map(message => (
+      message.id === messageId ? { ...message, ...changes } : message
+    )));
+  }, []);
 
   /**
    * Attempts to load the last active chat session
    * Creates a new session if no existing session is found
-   * Restores messages from localStorage for existing sessions
+   * Restores messages from the history store for existing sessions
    */
-  const loadExistingSession = useCallback(() => {
+  const loadExistingSession = useCallback(async () => {
     // Try to get the ID of the last active session
-    const lastSessionId = localStorage.getItem('lastSessionId');
+    const lastSessionId = localStorage.getItem(lastSessionKey);
     if (lastSessionId) {
       // If found, restore the session and its messages
       setSessionId(lastSessionId);
-      const loadedMessages = fetchMessagesForSession(lastSessionId);
+      const loadedMessages = await fetchMessagesForSession(lastSessionId);
       setMessages(loadedMessages);
     } else {
       // If no existing session, create a new one
       createNewSession();
     }
-  }, [createNewSession, fetchMessagesForSession]);
+  }, [createNewSession, fetchMessagesForSession, lastSessionKey]);
 
+  /**
+   * Opens a stored session in the chat, switching to the agent profile it was created with
+   * @param {string} selectedSessionId - Session to open
+   */
+  const selectSession = async (selectedSessionId) => {
+    const sessionProfileId = sessions.find(session => session.sessionId === selectedSessionId)?.profileId;
+    if (sessionProfileId && sessionProfileId !== profileId && profiles.some(profile => profile.id === sessionProfileId)) {
+      activateProfile(sessionProfileId);
+    }
+    setSessionId(selectedSessionId);
+    localStorage.setItem(lastSessionKey, selectedSessionId);
+    setShowSessions(false);
+    const loadedMessages = await fetchMessagesForSession(selectedSessionId);
+    setMessages(loadedMessages);
+  };
 
+  /**
+   * Renames or pins a stored session, then reloads the session list
+   * @param {Object} session - Session to update
+   * @param {Object} changes - { title?, pinned? }
+   */
+  const updateSession = async (session, changes) => {
+    try {
+      await historyStore.updateSession(session.sessionId, changes);
+    } catch (error) {
+      console.error('Error updating session:', error);
+    }
+    refreshSessions();
+  };
 
   /**
-   * Effect hook to initialize AWS Bedrock client and fetch credentials
-   * Sets up the connection to AWS Bedrock service using stored configuration
+   * Downloads or prints a stored session
+   * @param {Object} session - Session to export
+   * @param {string} format - 'markdown', 'json' or 'print'
+   */
+  const exportSession = async (session, format) => {
+    try {
+      const sessionMessages = await historyStore.fetchMessages(session.sessionId);
+      switch (format) {
+        case 'markdown':
+          downloadFile(exportFileName(session, 'md'), toMarkdown(session, sessionMessages), 'text/markdown');
+          break;
+        case 'json':
+          downloadFile(exportFileName(session, 'json'), toJsonExport(session, sessionMessages), 'application/json');
+          break;
+        case 'print':
+          if (!openPrintView(toPrintableHtml(session, sessionMessages))) {
+            console.error('Print view blocked by the browser');
+          }
+          break;
+      }
+    } catch (error) {
+      console.error('Error exporting session:', error);
+    }
+  };
+
+  /**
+   * Restores a JSON export as a new session and opens it
+   * @param {File} file - File produced by the JSON export
+   * @param {boolean} readOnly - True to prevent sending messages in the imported session
+   * @throws {Error} If the file is not a conversation export
+   */
+  const importSession = async (file, readOnly) => {
+    const { session, messages: importedMessages } = parseJsonExport(await file.text());
+    // Imported conversations get a new session; the agent has no memory of the original one
+    const importedSessionId = createSessionId();
+    await historyStore.createSession(importedSessionId, { profileId });
+    await historyStore.appendMessages(importedSessionId, importedMessages);
+    await historyStore.updateSession(importedSessionId, {
+      title: session.title || importedMessages[0].text,
+      readOnly
+    });
+    await refreshSessions();
+    await selectSession(importedSessionId);
+  };
+
+  /**
+   * Starts a new conversation with another agent profile
+   * @param {string} newProfileId - Profile to talk to
+   */
+  const switchProfile = (newProfileId) => {
+    if (newProfileId === profileId) {
+      return;
+    }
+    activateProfile(newProfileId);
+    createNewSession(newProfileId);
+  };
+
+  /**
+   * Deletes a stored session; a new session is started if it was the one open in the chat
+   * @param {Object} session - Session to delete
+   */
+  const deleteSession = async (session) => {
+    try {
+      await historyStore.deleteSession(session.sessionId);
+    } catch (error) {
+      console.error('Error deleting session:', error);
+    }
+    if (session.sessionId === sessionId) {
+      createNewSession();
+    } else {
+      refreshSessions();
+    }
+  };
+
+
+
+  /**
+   * Effect hook to initialize the agent client and fetch credentials
+   * Resolves the provider adapter from the active agent profile and lets it create its client
    */
   useEffect(() => {
+    // Set when another profile is activated before the credentials arrive
+    let cancelled = false;
+
     /**
-     * Fetches AWS credentials and initializes Bedrock client
+     * Fetches AWS credentials and initializes the provider's client
      * Retrieves configuration from localStorage and establishes AWS session
      */
     const fetchCredentials = async () => {
       try {
         // Get configuration from localStorage
-        const appConfig = JSON.parse(localStorage.getItem('appConfig'));
-        const bedrockConfig = appConfig.bedrock;
-        const strandsConfig = appConfig.strands;
-
-        // Check if Strands Agent is enabled
-        setIsStrandsAgent(strandsConfig && strandsConfig.enabled);
-
-        // Check if AgentCore Agent is enabled
-        const agentCoreConfig = appConfig.agentcore;
-        setIsAgentCoreAgent(agentCoreConfig && agentCoreConfig.enabled);
-
-        // Fetch AWS authentication session
-        const session = await fetchAuthSession();
-
-        // Initialize Bedrock client if needed
-        if (!strandsConfig?.enabled && !agentCoreConfig?.enabled) {
-          const newBedrockClient = new BedrockAgentRuntimeClient({
-            region: bedrockConfig.region,
-            credentials: session.credentials
-          });
-          setBedrockClient(newBedrockClient);
-          if (bedrockConfig.agentName && bedrockConfig.agentName.trim()) {
-            setAgentName({ value: bedrockConfig.agentName });
-          }
+        const { config: appConfig, error } = readStoredConfig();
+        if (!appConfig) {
+          throw new Error(`The configuration cannot be read${error ? `: ${error}` : ''}`);
         }
-        // Initialize Lambda client for Strands Agent
-        else if (strandsConfig && strandsConfig.enabled && !agentCoreConfig?.enabled) {
-          const newLambdaClient = new LambdaClient({
-            region: strandsConfig.region,
-            credentials: session.credentials
-          });
-          setLambdaClient(newLambdaClient);
-          if (strandsConfig.agentName && strandsConfig.agentName.trim()) {
-            setAgentName({ value: strandsConfig.agentName });
-          }
+        const profile = findProfile(appConfig, profileId);
+        const selectedProvider = resolveProvider(profile);
+        if (!selectedProvider) {
+          throw new Error("No agent provider is enabled in the configuration");
         }
+        const providerConfig = selectedProvider.getConfig(profile);
 
-        // Initialize AgentCore client if enabled
-        if (agentCoreConfig && agentCoreConfig.enabled && agentCoreConfig.region) {
-          const newAgentCoreClient = new BedrockAgentCoreClient({
-            region: agentCoreConfig.region,
-            credentials: session.credentials
-          });
-          setAgentCoreClient(newAgentCoreClient);
-          if (agentCoreConfig.agentName && agentCoreConfig.agentName.trim()) {
-            setAgentName({ value: agentCoreConfig.agentName });
-          }
+        // Check that the signed in user gets AWS credentials
+        await sessionCredentials();
+        if (cancelled) {
+          return;
         }
+
+        setProvider(selectedProvider);
+        setAgentClient(selectedProvider.createClient(providerConfig, sessionCredentials));
+        setAgentName({ value: profileName(profile) });
       } catch (error) {
         console.error('Error fetching credentials:', error);
       }
     };
 
     fetchCredentials();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId]);
 
   useEffect(() => {
-    if ((bedrockClient || lambdaClient || agentCoreClient) && !sessionId) {
+    if (agentClient && !sessionId) {
       loadExistingSession();
     }
-  }, [bedrockClient, lambdaClient, agentCoreClient, sessionId, loadExistingSession]);
+  }, [agentClient, sessionId, loadExistingSession]);
 
   /**
    * Effect hook to scroll to latest messages
@@ -265,173 +655,423 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
     scrollToBottom();
   }, [messages]);
 
+  // Effect hook to close the prompt editor when another session is opened
+  useEffect(() => {
+    setEditingMessageId(null);
+  }, [sessionId]);
+
   /**
-   * Handles the submission of new messages to the chat
-   * Sends message to Bedrock agent or Strands agent and processes response
-   * @param {Event} e - Form submission event
+   * Stops the in-flight agent request
+   * The partial response received so far is kept and marked as stopped
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    // Only proceed if we have a message and active session
-    if (newMessage.trim() && sessionId) {
-      const appConfig = JSON.parse(localStorage.getItem('appConfig'));
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
 
-      // Clear input field
-      setNewMessage('');
-      // Create message object with user information
-      const userMessage = { text: newMessage, sender: user.username };
-      setMessages(prevMessages => [...prevMessages, userMessage]);
-      setIsAgentResponding(true); // Set to true when starting to wait for response
+  /**
+   * Sends a request to the agent and streams the response into a new agent message
+   * @param {Object} request - Request details
+   * @param {string} request.text - Prompt sent to the agent
+   * @param {Object} [request.userMessage] - User message shown and stored with the response
+   * @param {Object} [request.returnControl] - Answered return-of-control request to send back to the agent
+   * @param {Array<Object>} [request.returnControlResults] - Results for each invocation of the return-of-control request
+   * @param {Array<Object>} [request.attachments] - Files encoded by readAttachment
+   * @param {string} [request.targetSessionId] - Session the request belongs to, the open one by default
+   * @param {Array<Object>} [request.history] - Messages the request follows, the displayed ones by default
+   */
+  const invokeAgent = async ({
+    text,
+    userMessage,
+    returnControl,
+    returnControlResults,
+    attachments,
+    targetSessionId = sessionId,
+    history = messages
+  }) => {
+    const appConfig = readStoredConfig().config;
 
-      try {
-        let agentMessage;
-
-        // Handle Bedrock Agent
-        if (!isStrandsAgent && bedrockClient) {
-          const bedrockConfig = appConfig.bedrock;
-          const sessionAttributes = {
-            aws_session: await fetchAuthSession()
-          };
-
-          const command = new InvokeAgentCommand({
-            agentId: bedrockConfig.agentId,
-            agentAliasId: bedrockConfig.agentAliasId,
-            sessionId: sessionId,
-            endSession: false,
-            enableTrace: true,
-            inputText: newMessage,
-            promptSessionAttributes: sessionAttributes
-          });
-
-          let completion = "";
-          const response = await bedrockClient.send(command);
-
-          if (response.completion === undefined) {
-            throw new Error("Completion is undefined");
-          }
+    // Placeholder agent message that grows as response chunks arrive
+    const agentMessageId = createMessageId();
+    setMessages(prevMessages => [
+      ...prevMessages,
+      ...(userMessage ? [userMessage] : []),
+      { id: agentMessageId, text: '', sender: agentName.value, isStreaming: true }
+    ]);
+    setIsAgentResponding(true); // Set to true when starting to wait for response
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    let completion = "";
+    // Timeline of orchestration steps, stored with the agent message
+    const traceSteps = [];
+    // Knowledge base citations and the sources they reference
+    let attribution = { citations: [], sources: [] };
+    // Action group invocation the agent hands back to the user
+    let pendingReturnControl = null;
+    // Files produced by the agent
+    const returnedFiles = [];
+    // Identifiers of the invocation reported by the provider, e.g. the AgentCore runtime session and trace
+    let invocationMetadata = null;
+
+    /**
+     * Builds the agent message from everything received so far
+     * @param {Object} [fields] - Fields overriding the defaults
+     * @returns {Object} Agent message
+     */
+    const buildAgentMessage = (fields) => ({
+      id: agentMessageId,
+      text: completion,
+      sender: agentName.value,
+      timestamp: new Date().toISOString(),
+      ...(traceSteps.length > 0 && { trace: traceSteps }),
+      ...(attribution.sources.length > 0 && attribution),
+      ...(pendingReturnControl && { returnControl: pendingReturnControl }),
+      ...(returnedFiles.length > 0 && { files: returnedFiles }),
+      ...(invocationMetadata && { invocation: invocationMetadata }),
+      ...fields
+    });
+
+    try {
+      if (!provider || !agentClient) {
+        throw new Error("No agent client available");
+      }
+
+      const providerConfig = provider.getConfig(findProfile(appConfig, profileId));
+      let client = agentClient;
+      // Set once part of the answer arrived; the request is not repeated after that
+      let hasReceivedEvents = false;
 
-          for await (const chunkEvent of response.completion) {
-            if (chunkEvent.trace) {
-              console.log("Trace: ", chunkEvent.trace);
-              tasksCompleted.count++;
-              if (typeof (chunkEvent.trace.trace.failureTrace) !== 'undefined') {
-                throw new Error(chunkEvent.trace.trace.failureTrace.failureReason);
-              }
-
-              if (chunkEvent.trace.trace.orchestrationTrace.rationale) {
-                tasksCompleted.latestRationale = chunkEvent.trace.trace.orchestrationTrace.rationale.text;
-                scrollToBottom();
-              }
-              setTasksCompleted({ ...tasksCompleted });
-
-            } else if (chunkEvent.chunk) {
-              const chunk = chunkEvent.chunk;
-              const decodedResponse = new TextDecoder("utf-8").decode(chunk.bytes);
-              completion += decodedResponse;
+      await withRetry(async () => {
+        const response = await provider.sendMessage(client, {
+          config: providerConfig,
+          sessionId: targetSessionId,
+          text,
+          ...(provider.capabilities.history && {
+            user: { userId: user.userId, username: user.username },
+            ...buildConversationContext(history, {
+              username: user.username,
+              prompt: text,
+              contextWindow: providerConfig.contextWindow
+            })
+          }),
+          returnControl,
+          returnControlResults,
+          attachments,
+          abortSignal: abortController.signal
+        });
+
+        for await (const event of provider.streamEvents(response)) {
+          if (abortController.signal.aborted) {
+            break;
+          }
+          if (event.type === 'metadata') {
+            // Not part of the answer: the request can still be retried after it
+            invocationMetadata = { ...invocationMetadata, ...event.metadata };
+            updateMessage(agentMessageId, { invocation: invocationMetadata });
+            continue;
+          }
+          hasReceivedEvents = true;
+          setRetryStatus('');
+          if (event.type === 'trace') {
+            traceSteps.push(...toTraceSteps(event.trace));
+            updateMessage(agentMessageId, { trace: [...traceSteps] });
+            tasksCompleted.count++;
+            if (event.trace.orchestrationTrace?.rationale) {
+              tasksCompleted.latestRationale = event.trace.orchestrationTrace.rationale.text;
+              scrollToBottom();
+            }
+            setTasksCompleted({ ...tasksCompleted });
+          } else if (event.type === 'chunk') {
+            if (event.citations?.length > 0) {
+              attribution = addCitations(attribution, event.citations, completion.length);
             }
+            completion += event.text;
+            updateMessage(agentMessageId, { text: completion, ...attribution });
+          } else if (event.type === 'returnControl') {
+            pendingReturnControl = { ...event.returnControl, status: 'pending' };
+            updateMessage(agentMessageId, { returnControl: pendingReturnControl });
+          } else if (event.type === 'files') {
+            returnedFiles.push(...event.files);
+            updateMessage(agentMessageId, { files: [...returnedFiles] });
+          } else if (event.type === 'steps') {
+            traceSteps.push(...event.steps);
+            updateMessage(agentMessageId, { trace: [...traceSteps] });
           }
-
-          console.log('Full completion:', completion);
-          agentMessage = { text: completion, sender: agentName.value };
         }
-        // Handle Strands Agent
-        else if (isStrandsAgent && lambdaClient) {
-          const strandsConfig = appConfig.strands;
-
-          // Prepare payload for Lambda function
-          const payload = {
-            query: newMessage
-          };
-
-          // Extract Lambda function name from ARN
-          const lambdaArn = strandsConfig.lambdaArn;
-
-          const command = new InvokeCommand({
-            FunctionName: lambdaArn,
-            Payload: JSON.stringify(payload),
-            InvocationType: 'RequestResponse'
-          });
-
-          const response = await lambdaClient.send(command);
-
-          // Process Lambda response
-          const responseBody = new TextDecoder().decode(response.Payload);
-          const parsedResponse = JSON.parse(responseBody);
-
-          console.log('Lambda response:', parsedResponse);
-
-          // Extract the response text from the Lambda result
-          let responseText;
-          if (parsedResponse.body) {
-            const body = JSON.parse(parsedResponse.body);
-            responseText = body.response;
-          } else if (parsedResponse.response) {
-            responseText = parsedResponse.response;
-          } else {
-            responseText = "Sorry, I couldn't process your request.";
+      }, {
+        signal: abortController.signal,
+        canRetry: () => !hasReceivedEvents,
+        onRetry: async ({ kind, title }, attempt) => {
+          if (kind === 'expiredCredentials') {
+            // Renew the identity pool credentials and use a client that does not hold the expired ones
+            await fetchAuthSession({ forceRefresh: true });
+            client = provider.createClient(providerConfig, sessionCredentials);
+            setAgentClient(client);
           }
-
-          agentMessage = { text: responseText, sender: agentName.value };
+          setRetryStatus(`${title}, retrying (attempt ${attempt + 1})…`);
         }
-        // Handle AgentCore Agent
-        else if (isAgentCoreAgent && agentCoreClient) {
-          const agentCoreConfig = appConfig.agentcore;
-
-          const command = new InvokeAgentRuntimeCommand({
-            agentRuntimeArn: agentCoreConfig.agentArn,
-            runtimeSessionId: sessionId,
-            payload: JSON.stringify({ prompt: newMessage })
-          });
-
-          const response = await agentCoreClient.send(command);
-
-          // Handle ReadableStream response
-          let responseBody = '';
-          if (response.response && response.response.getReader) {
-            const reader = response.response.getReader();
-            const decoder = new TextDecoder();
-            let done = false;
-
-            while (!done) {
-              const { value, done: streamDone } = await reader.read();
-              done = streamDone;
-              if (value) {
-                responseBody += decoder.decode(value, { stream: true });
-              }
-            }
-          } else {
-            responseBody = response.response || '';
-          }
+      });
 
-          console.log('AgentCore raw response:', responseBody);
+      console.log('Full completion:', completion);
+      const agentMessage = buildAgentMessage(abortController.signal.aborted ? { status: 'stopped' } : {});
 
-          const parsedResponse = JSON.parse(responseBody);
-          const responseText = parsedResponse.result || "Sorry, I couldn't process your request.";
-          agentMessage = { text: responseText.content[0].text || '', sender: agentName.value };
-        } else {
-          throw new Error("No agent client available");
-        }
+      updateMessage(agentMessageId, { ...agentMessage, isStreaming: false });
+      // Store the new messages only once the response is complete
+      storeMessages(targetSessionId, [userMessage, agentMessage].filter(Boolean));
+      if (handsFreeRef.current && !abortController.signal.aborted) {
+        // Listen for the next prompt once the response was read
+        speak(completion, agentMessageId, { onEnd: listenHandsFree });
+      }
 
-        setMessages(prevMessages => [...prevMessages, agentMessage]);
-        // Store the new messages
-        storeMessages(sessionId, [userMessage, agentMessage]);
+    } catch (err) {
+      if (abortController.signal.aborted) {
+        // Cancelled by the user: keep whatever was streamed before the abort
+        const stoppedMessage = buildAgentMessage({ status: 'stopped' });
+        updateMessage(agentMessageId, { ...stoppedMessage, isStreaming: false });
+        storeMessages(targetSessionId, [userMessage, stoppedMessage].filter(Boolean));
+        return;
+      }
+      console.error('Error invoking agent:', err);
 
-      } catch (err) {
-        console.error('Error invoking agent:', err);
+      const { kind, title, explanation, detail } = classifyError(err);
+      // Keep the request so the Retry button can send it again, attachments included
+      failedRequestsRef.current.set(agentMessageId, { text, returnControl, returnControlResults, attachments });
+      const errorMessage = buildAgentMessage({
+        // Text streamed before the failure is kept; the explanation is stored so exports show it
+        text: completion ? `${completion}\n\n${explanation}` : explanation,
+        status: 'error',
+        error: { kind, title, detail }
+      });
+      updateMessage(agentMessageId, { ...errorMessage, isStreaming: false });
+      storeMessages(targetSessionId, [userMessage, errorMessage].filter(Boolean));
+    } finally {
+      abortControllerRef.current = null;
+      setRetryStatus('');
+      setIsAgentResponding(false); // Set to false when response is received
+      setTasksCompleted({ count: 0, latestRationale: '' });
+    }
+  };
 
-        let errReason = "**" + String(err).toString() + "**";
+  /**
+   * Sends the request of a failed agent message again
+   * Requests failed in this browser session are resent as they were; for older ones the preceding user prompt is sent
+   * @param {Object} message - Failed agent message
+   */
+  const retryMessage = async (message) => {
+    if (!sessionId || isAgentResponding || isReadOnly) {
+      return;
+    }
+    const index = messages.findIndex(m => m.id === message.id);
+    const prompt = messages.slice(0, index).reverse().find(m => m.sender === user.username);
+    const request = failedRequestsRef.current.get(message.id) || (prompt && { text: prompt.text });
+    if (!request) {
+      return;
+    }
+    failedRequestsRef.current.delete(message.id);
+    updateMessage(message.id, { status: 'retried' });
+    updateStoredMessage(sessionId, message.id, { status: 'retried' });
+    await invokeAgent(request);
+  };
 
-        const errorMessage = { text: `An error occurred while processing your request:\n${errReason}`, sender: 'agent' };
-        setMessages(prevMessages => [...prevMessages, errorMessage]);
-        storeMessages(sessionId, [userMessage, errorMessage]);
-      } finally {
-        setIsAgentResponding(false); // Set to false when response is received
-        setTasksCompleted({ count: 0, latestRationale: '' });
+  /**
+   * Asks the agent for another response to the prompt of its last reply
+   * The previous reply is kept in the history store, marked as regenerated and hidden from the conversation
+   * @param {Object} message - Last agent message
+   */
+  const regenerateMessage = async (message) => {
+    if (!sessionId || isAgentResponding || isReadOnly) {
+      return;
+    }
+    const index = messages.findIndex(m => m.id === message.id);
+    const prompt = messages.slice(0, index).reverse().find(m => m.sender === user.username);
+    if (!prompt?.text) {
+      return;
+    }
+    failedRequestsRef.current.delete(message.id);
+    updateMessage(message.id, { status: 'regenerated' });
+    updateStoredMessage(sessionId, message.id, { status: 'regenerated' });
+    await invokeAgent({ text: prompt.text, history: messages.slice(0, index) });
+  };
+
+  /**
+   * Sends an edited user prompt in a new branch of the conversation
+   * The branch is a new session holding copies of the messages before the prompt; the original session is left as it was.
+   * Agents that keep their own session memory, such as Bedrock agents, start the branch without it.
+   * @param {Object} message - User message that was edited
+   * @param {string} text - Edited prompt
+   */
+  const resendEditedPrompt = async (message, text) => {
+    if (!sessionId || isAgentResponding || isReadOnly) {
+      return;
+    }
+    setEditingMessageId(null);
+    const earlierMessages = messages.slice(0, messages.findIndex(m => m.id === message.id));
+    const title = sessions.find(session => session.sessionId === sessionId)?.title || messages[0]?.text || text;
+    const branchSessionId = createSessionId();
+    try {
+      await historyStore.createSession(branchSessionId, { profileId });
+      if (earlierMessages.length > 0) {
+        await historyStore.appendMessages(branchSessionId, toStorableMessages(earlierMessages));
+        await historyStore.updateSession(branchSessionId, { title: `${title} (edited)` });
+      }
+    } catch (error) {
+      console.error('Error creating conversation branch:', error);
+      return;
+    }
+    setSessionId(branchSessionId);
+    localStorage.setItem(lastSessionKey, branchSessionId);
+    setMessages(earlierMessages);
+    const userMessage = {
+      id: createMessageId(),
+      text,
+      sender: user.username,
+      timestamp: new Date().toISOString()
+    };
+    await invokeAgent({ text, userMessage, targetSessionId: branchSessionId, history: earlierMessages });
+    refreshSessions();
+  };
+
+  /**
+   * Records the user's rating of an agent message
+   * @param {Object} message - Rated agent message
+   * @param {Object|null} feedback - { rating: 'up' | 'down', comment }, or null to remove the rating
+   */
+  const rateMessage = (message, feedback) => {
+    const changes = { feedback: feedback ? { ...feedback, timestamp: new Date().toISOString() } : undefined };
+    updateMessage(message.id, changes);
+    updateStoredMessage(sessionId, message.id, changes);
+  };
+
+  /**
+   * Downloads the rated agent messages of every stored session for agent quality review
+   */
+  const exportFeedback = async () => {
+    try {
+      const conversations = [];
+      for (const session of await historyStore.listSessions()) {
+        conversations.push({ session, messages: await historyStore.fetchMessages(session.sessionId) });
+      }
+      downloadFile(
+        `feedback-${new Date().toISOString().substring(0, 10)}.json`,
+        toFeedbackExport(conversations, { username: user.username }),
+        'application/json'
+      );
+    } catch (error) {
+      console.error('Error exporting feedback:', error);
+    }
+  };
+
+  /**
+   * Handles the submission of new messages to the chat
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await sendPrompt(promptValue);
+  };
+
+  /**
+   * Sends a prompt with the attached files through the configured provider adapter
+   * @param {string} prompt - Prompt typed or dictated by the user
+   */
+  const sendPrompt = async (prompt) => {
+    // Only proceed if we have a message, an active session and no request in flight
+    if (prompt.trim() && sessionId && !isAgentResponding && !isReadOnly) {
+      let attachments;
+      try {
+        attachments = await Promise.all(attachedFiles.map(readAttachment));
+      } catch (error) {
+        console.error('Error reading attachments:', error);
+        setAttachmentError('The attached files could not be read');
+        return;
       }
+      // Clear input field and attachments
+      setNewMessage('');
+      setAttachedFiles([]);
+      setAttachmentError('');
+      // Dictation ends with the prompt, which already holds the words still being recognized; in hands-free
+      // mode the response is read and the next prompt dictated as usual
+      handsFreeListeningRef.current = false;
+      abortListening();
+      dictationBaseRef.current = '';
+      setTranscript('');
+      clearDictationError();
+      stopSpeaking();
+      // Create message object with user information; only attachment metadata is kept in history
+      const userMessage = {
+        id: createMessageId(),
+        text: prompt,
+        sender: user.username,
+        timestamp: new Date().toISOString(),
+        ...(attachments.length > 0 && {
+          attachments: attachments.map(({ name, mediaType, size }) => ({ name, mediaType, size }))
+        })
+      };
+      await invokeAgent({ text: prompt, userMessage, attachments });
     }
   };
 
+  // Latest sendPrompt, for the effect below that only runs when listening stops
+  const sendPromptRef = useRef(sendPrompt);
+  sendPromptRef.current = sendPrompt;
+
+  // Effect hook sending the dictated prompt once the user stops talking in hands-free mode
+  useEffect(() => {
+    if (!isListening && handsFreeListeningRef.current) {
+      handsFreeListeningRef.current = false;
+      if (transcript.trim()) {
+        sendPromptRef.current(appendDictation(dictationBaseRef.current, transcript));
+      } else {
+        // Nothing was said: the mode ends rather than listening forever
+        handsFreeRef.current = false;
+        setIsHandsFree(false);
+      }
+    }
+  }, [isListening, transcript]);
+
+  /**
+   * Adds files to the message being composed after checking type, count and size limits
+   * @param {Array<File>} files - Files picked or dropped by the user
+   */
+  const addAttachments = (files) => {
+    const { files: acceptedFiles, error } = validateAttachments(attachedFiles, files, provider?.capabilities.maxAttachmentsSize);
+    setAttachedFiles(acceptedFiles);
+    setAttachmentError(error);
+  };
+
+  // Replies replaced by a regenerated one stay in the history store but are not shown
+  const visibleMessages = messages.filter(message => message.status !== 'regenerated');
+  // Only the latest reply of the agent can be regenerated, once its prompt was answered
+  const lastAgentMessage = visibleMessages.length > 1 && visibleMessages[visibleMessages.length - 1].sender !== user.username
+    && !visibleMessages[visibleMessages.length - 1].isStreaming
+    && visibleMessages[visibleMessages.length - 2].sender === user.username
+    ? visibleMessages[visibleMessages.length - 1]
+    : null;
+
+  /**
+   * Sends the user's answer to a return-of-control request back to the agent
+   * Records the answer on the message that asked for it, then continues the conversation in the same session
+   * @param {Object} message - Agent message carrying the return-of-control request
+   * @param {Array<Object>} results - { confirmationState, body } for each requested invocation
+   */
+  const handleReturnControl = async (message, results) => {
+    if (!sessionId || isAgentResponding || isReadOnly) {
+      return;
+    }
+    const answered = { ...message.returnControl, status: 'answered', results };
+    updateMessage(message.id, { returnControl: answered });
+    updateStoredMessage(sessionId, message.id, { returnControl: answered });
+    await invokeAgent({ text: '', returnControl: message.returnControl, returnControlResults: results });
+  };
+
+  /**
+   * Signs the user out
+   * Local history is purged first unless the configuration keeps it across sign-ins
+   */
   const handleLogout = async () => {
+    const appConfig = readStoredConfig().config;
+    if (appConfig?.history?.purgeOnSignOut !== false) {
+      await purgeLocalHistory();
+    }
     try {
       await signOut();
       onLogout();
@@ -447,6 +1087,30 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
     <div className="chat-component">
       <Container stretch>
         <div className="chat-container">
+          {areFilesDragging && provider?.capabilities.attachments && !isReadOnly && (
+            <div className="attachment-dropzone">
+              <FileDropzone onChange={({ detail }) => addAttachments(detail.value)}>
+                Drop files to attach them to your message
+              </FileDropzone>
+            </div>
+          )}
+          {showSessions && (
+            <SessionsComponent
+              sessions={sessions}
+              activeSessionId={sessionId}
+              onSelect={selectSession}
+              onRename={(session, title) => updateSession(session, { title })}
+              onTogglePin={(session) => updateSession(session, { pinned: !session.pinned })}
+              profileNames={profiles.length > 1
+                ? Object.fromEntries(profiles.map(profile => [profile.id, profileName(profile)]))
+                : {}}
+              onDelete={deleteSession}
+              onExport={exportSession}
+              onImport={importSession}
+              onSearch={searchSessions}
+              onClose={() => setShowSessions(false)}
+            />
+          )}
           <TopNavigation
             identity={{
               href: "#",
@@ -454,27 +1118,31 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
             }}
             utilities={
               [
-                //This is a menu dropdown to select a conversation
+                //This is the button showing the conversations sidebar
                 {
-                  type: "menu-dropdown",
+                  type: "button",
                   iconName: "menu",
-                  ariaLabel: "Select a conversation",
-                  title: "Select a conversation",
+                  ariaLabel: "Conversations",
+                  title: "Conversations",
                   disableUtilityCollapse: true,
-                  onItemClick: ({ detail }) => {
-                    const selectedKey = detail.id;
-                    // The key is stored as 'messages_' + sessionId, so we strip the prefix
-                    const newSessionId = selectedKey.replace('messages_', '');
-                    setSessionId(newSessionId);
-                    localStorage.setItem('lastSessionId', newSessionId);
-                    const loadedMessages = fetchMessagesForSession(newSessionId);
-                    setMessages(loadedMessages);
-                  },
-                  items: sessions.map(session => ({
-                    id: session.key,
-                    text: session.title,
-                  }))
+                  onClick: () => setShowSessions(!showSessions)
                 },
+                //This is a menu dropdown to switch between agent profiles
+                ...(profiles.length > 1 ? [{
+                  type: "menu-dropdown",
+                  iconName: "gen-ai",
+                  text: agentName.value,
+                  ariaLabel: "Switch agent",
+                  title: "Switch agent",
+                  disableUtilityCollapse: true,
+                  onItemClick: ({ detail }) => switchProfile(detail.id),
+                  items: profiles.map(profile => ({
+                    id: profile.id,
+                    text: profileName(profile),
+                    iconName: profile.id === profileId ? "check" : undefined,
+                    disabled: isAgentResponding
+                  }))
+                }] : []),
                 //This is the button to start a new conversation
                 {
                   type: "button",
@@ -499,6 +1167,15 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
                       case "clear-settings":
                         handleClearData();
                         break;
+                      case "export-settings":
+                        exportConfig();
+                        break;
+                      case "export-feedback":
+                        exportFeedback();
+                        break;
+                      case "import-settings":
+                        configInputRef.current?.click();
+                        break;
                     }
                   },
                   items: [
@@ -506,13 +1183,28 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
                       id: "clear-settings",
                       type: "button",
                       iconName: "remove",
-                      text: "Clear settings and local storage",
+                      text: "Clear settings and local history",
                     },
                     {
                       id: "edit-settings",
                       text: "Edit Settings",
                       iconName: "edit",
                       type: "icon-button",
+                    },
+                    {
+                      id: "export-settings",
+                      text: "Export configuration",
+                      iconName: "download"
+                    },
+                    {
+                      id: "import-settings",
+                      text: "Import configuration",
+                      iconName: "upload"
+                    },
+                    {
+                      id: "export-feedback",
+                      text: "Export response feedback",
+                      iconName: "thumbs-up"
                     }
                   ]
                 },
@@ -548,28 +1240,110 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
                 </div>
               </div> */}
           <div className="messages-container scrollable">
-            {messages.map((message, index) => (
-              <div key={index}>
+            {discardedLegacyCount > 0 && (
+              <Alert type="info" dismissible onDismiss={() => setDiscardedLegacyCount(0)}>
+                {discardedLegacyCount === 1 ? 'A conversation' : `${discardedLegacyCount} conversations`} saved on this
+                browser by an earlier version without a user could be read by anyone signing in here, and{' '}
+                {discardedLegacyCount === 1 ? 'was' : 'were'} deleted.
+              </Alert>
+            )}
+            {visibleMessages.map((message, index) => (
+              <div key={message.id || index}>
                 <ChatBubble
-                  ariaLabel={`${message.sender} message`}
+                  ariaLabel={message.timestamp
+                    ? `${message.sender} message at ${new Date(message.timestamp).toLocaleString()}`
+                    : `${message.sender} message`}
                   type={message.sender === user.username ? "outgoing" : "incoming"}
+                  showLoadingBar={message.isStreaming}
                   avatar={
                     <Avatar
                       ariaLabel={message.sender}
                       tooltipText={message.sender}
                       color={message.sender === user.username ? "default" : "gen-ai"}
                       initials={message.sender.substring(0, 2).toUpperCase()}
+                      loading={message.isStreaming}
                     />
                   }
+                  actions={!message.isStreaming && message.id !== editingMessageId && (
+                    <MessageActionsComponent
+                      message={message}
+                      disabled={isAgentResponding}
+                      onEdit={message.sender === user.username && !isReadOnly
+                        ? () => setEditingMessageId(message.id)
+                        : undefined}
+                      onRegenerate={message === lastAgentMessage && !isReadOnly
+                        ? () => regenerateMessage(message)
+                        : undefined}
+                      onFeedback={message.sender !== user.username && !isReadOnly
+                        ? (feedback) => rateMessage(message, feedback)
+                        : undefined}
+                      isSpeaking={speakingId === message.id}
+                      onSpeak={message.sender !== user.username && speechSynthesisSupported
+                        ? () => (speakingId === message.id ? stopSpeaking() : speak(message.text, message.id))
+                        : undefined}
+                    />
+                  )}
                 >
-                  {message?.text && (message.text).split('\n').map((line, i) => (
-                    <ReactMarkdown
-                      key={'md-rendering' + i}
-                      rehypePlugins={[rehypeRaw]} // Enables HTML parsing
-                    >
-                      {line}
-                    </ReactMarkdown>
-                  ))}
+                  {message.id === editingMessageId && (
+                    <MessageEditorComponent
+                      message={message}
+                      disabled={isAgentResponding}
+                      onSubmit={(text) => resendEditedPrompt(message, text)}
+                      onCancel={() => setEditingMessageId(null)}
+                    />
+                  )}
+                  {message?.text && message.id !== editingMessageId && (
+                    <MarkdownComponent
+                      text={insertCitationMarkers(message.text, message.citations, `source-${message.id}`)}
+                      allowHtml={allowHtml}
+                      isStreaming={!!message.isStreaming}
+                    />
+                  )}
+                  {message.status === 'stopped' && (
+                    <StatusIndicator type="stopped">Response stopped</StatusIndicator>
+                  )}
+                  {message.error && (
+                    <div className="message-error">
+                      <StatusIndicator type="error">{message.error.title}</StatusIndicator>
+                      <Box variant="small" color="text-body-secondary">{message.error.detail}</Box>
+                      {message.status === 'error' && !isReadOnly && (
+                        <Button
+                          iconName="refresh"
+                          disabled={isAgentResponding}
+                          onClick={() => retryMessage(message)}
+                        >
+                          Retry
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                  {message.attachments?.length > 0 && (
+                    <AttachmentsComponent files={message.attachments} />
+                  )}
+                  {message.files?.length > 0 && (
+                    <AttachmentsComponent files={message.files} />
+                  )}
+                  {message.sources?.length > 0 && (
+                    <CitationsComponent sources={message.sources} anchorPrefix={`source-${message.id}`} />
+                  )}
+                  {message.returnControl && (
+                    <ReturnControlComponent
+                      returnControl={message.returnControl}
+                      disabled={isAgentResponding || isReadOnly}
+                      onSubmit={(results) => handleReturnControl(message, results)}
+                    />
+                  )}
+                  {message.trace?.length > 0 && (
+                    <TraceComponent steps={message.trace} />
+                  )}
+                  {message.invocation && (
+                    <Box variant="small" color="text-body-secondary">
+                      {[
+                        message.invocation.runtimeSessionId && `Runtime session: ${message.invocation.runtimeSessionId}`,
+                        message.invocation.traceId && `Trace: ${message.invocation.traceId}`
+                      ].filter(Boolean).join(' · ')}
+                    </Box>
+                  )}
                 </ChatBubble>
               </div>
             ))}
@@ -580,19 +1354,19 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
                   margin={{ bottom: "xs", left: "l" }}
                   color="text-body-secondary"
                 >
-                  {!isStrandsAgent && tasksCompleted.count > 0 && (
+                  {provider?.capabilities.traces && tasksCompleted.count > 0 && (
                     <div>
                       {agentName.value} is working on your request | Tasks completed ({tasksCompleted.count})
                       <br />
                       <i>{tasksCompleted.latestRationale}</i>
                     </div>
                   )}
-                  {isStrandsAgent && (
+                  {!provider?.capabilities.traces && (
                     <div>
                       {agentName.value} is processing your request...
                     </div>
                   )}
-                  <LoadingBar variant="gen-ai" />
+                  {retryStatus && <div>{retryStatus}</div>}
                 </Box>
               </LiveRegion>
             )}
@@ -600,14 +1374,18 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
           <form onSubmit={handleSubmit} className="message-form">
             <Form
             >
-              <FormField stretch>
+              <FormField
+                stretch
+                errorText={attachmentError}
+                warningText={dictationError && describeDictationError(dictationError)}
+              >
                 <div style={{ display: 'flex', alignItems: 'center', width: '100%' }}>
                   <button
                     type="button"
-                    onClick={isListening ? stopListening : startListening}
+                    onClick={isListening ? stopListening : () => startDictation()}
                     title={isListening ? "Stop Listening" : "Start Listening"}
                     className="mic-button"
-                    hidden={!speechRecognitionSupported}
+                    hidden={!speechRecognitionSupported || isReadOnly}
                   >
                     {isListening ? (
                       <svg xmlns="http://www.w3.org/2000/svg" height="28" width="28" fill="red" viewBox="0 0 24 24">
@@ -619,16 +1397,99 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
                       </svg>
                     )}
                   </button>
+                  {speechRecognitionSupported && speechSynthesisSupported && !isReadOnly && (
+                    <ToggleButton
+                      variant="icon"
+                      iconName="call"
+                      pressedIconName="call"
+                      pressed={isHandsFree}
+                      ariaLabel="Hands-free voice mode"
+                      onChange={({ detail }) => toggleHandsFree(detail.pressed)}
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    title="Attach files"
+                    aria-label="Attach files"
+                    className="attach-button"
+                    hidden={!provider?.capabilities.attachments || isReadOnly}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" height="24" width="24" fill="black" viewBox="0 0 24 24">
+                      <path d="M16.5 6v11.5q0 1.875-1.312 3.188Q13.875 22 12 22q-1.875 0-3.188-1.312Q7.5 19.375 7.5 17.5V5q0-1.25.875-2.125T10.5 2q1.25 0 2.125.875T13.5 5v11.5q0 .625-.438 1.062Q12.625 18 12 18t-1.062-.438Q10.5 17.125 10.5 16.5V6H12v10.5q0 .2.15.35.15.15.35.15.2 0 .35-.15.15-.15.15-.35V5q0-.625-.438-1.062Q12.125 3.5 11.5 3.5h-1q-.625 0-1.062.438Q9 4.375 9 5v12.5q0 1.25.875 2.125T12 20.5q1.25 0 2.125-.875T15 17.5V6Z" />
+                    </svg>
+                  </button>
+                  <input
+                    type="file"
+                    ref={fileInputRef}
+                    multiple
+                    accept={ACCEPTED_EXTENSIONS.join(',')}
+                    hidden
+                    onChange={(e) => {
+                      addAttachments(Array.from(e.target.files));
+                      // Reset so picking the same file again triggers onChange
+                      e.target.value = '';
+                    }}
+                  />
                   <div style={{ flex: 1 }}>
                     <PromptInput
                       type='text'
-                      value={newMessage}
-                      onChange={({ detail }) => setNewMessage(detail.value)}
-                      placeholder='Type your question here...'
+                      value={promptValue}
+                      onChange={({ detail }) => {
+                        let typed = detail.value;
+                        if (promptValue !== newMessage) {
+                          // Words still being recognized are not part of the typed text: they are added once final,
+                          // unless the user edited them, in which case the edit is kept and they are dropped
+                          const interimText = promptValue.slice(newMessage.length);
+                          const index = typed.lastIndexOf(interimText);
+                          if (index === -1) {
+                            discardInterim();
+                          } else {
+                            typed = typed.slice(0, index) + typed.slice(index + interimText.length);
+                          }
+                        }
+                        setNewMessage(typed);
+                        if (isListening) {
+                          // Dictation goes on after the edited text
+                          dictationBaseRef.current = typed;
+                          setTranscript('');
+                        }
+                      }}
+                      placeholder={isReadOnly ? 'This conversation was imported read-only' : 'Type your question here...'}
+                      disabled={isReadOnly}
                       actionButtonAriaLabel="Send message"
                       actionButtonIconName="send"
+                      disableActionButton={isAgentResponding}
+                      secondaryContent={attachedFiles.length > 0 && (
+                        <FileTokenGroup
+                          items={attachedFiles.map(file => ({ file }))}
+                          onDismiss={({ detail }) => {
+                            setAttachedFiles(prevFiles => prevFiles.filter((_, index) => index !== detail.fileIndex));
+                            setAttachmentError('');
+                          }}
+                          alignment="horizontal"
+                          showFileSize
+                          showFileThumbnail
+                          i18nStrings={{
+                            removeFileAriaLabel: (index, fileName) => `Remove file ${fileName}`,
+                            limitShowFewer: "Show fewer files",
+                            limitShowMore: "Show more files",
+                            errorIconAriaLabel: "Error",
+                            warningIconAriaLabel: "Warning"
+                          }}
+                        />
+                      )}
                     />
                   </div>
+                  {isAgentResponding && (
+                    <Button
+                      variant="icon"
+                      iconName="stop-circle"
+                      ariaLabel="Stop generating"
+                      formAction="none"
+                      onClick={handleStop}
+                    />
+                  )}
                 </div>
 
               </FormField>
@@ -650,7 +1511,54 @@ const ChatComponent = ({ user, onLogout, onConfigEditorClick }) => {
               </Box>
             }
           >
-            <strong>This action cannot be undone.</strong> Configuration for this application will be deleted along with the chat history with {agentName.value}. Do you want to continue?
+            <strong>This action cannot be undone.</strong> Configuration for this application will be deleted along with your chat history with {agentName.value} stored in this browser, and you will be signed out. Do you want to continue?
+          </Modal>
+
+          {/* Configuration Import */}
+          <input
+            type="file"
+            ref={configInputRef}
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => {
+              e.target.files[0] && importConfig(e.target.files[0]);
+              // Reset so picking the same file again triggers onChange
+              e.target.value = '';
+            }}
+          />
+          <Modal
+            onDismiss={() => setConfigImport(null)}
+            visible={!!configImport}
+            header="Import configuration"
+            footer={
+              <Box float="right">
+                <SpaceBetween direction="horizontal" size="xs">
+                  <Button variant="link" onClick={() => setConfigImport(null)}>Cancel</Button>
+                  {configImport?.config && <Button variant="primary" onClick={confirmConfigImport}>Import</Button>}
+                </SpaceBetween>
+              </Box>
+            }
+          >
+            {configImport?.error
+              ? `The configuration could not be imported: ${configImport.error}`
+              : 'Your current settings will be replaced by the imported configuration and the application will reload. Settings locked by your administrator are kept.'}
+          </Modal>
+          <Modal
+            onDismiss={() => setLegacySessionCount(0)}
+            visible={legacySessionCount > 0}
+            header="Conversations from an earlier version"
+            footer={
+              <Box float="right">
+                <SpaceBetween direction="horizontal" size="xs">
+                  <Button variant="link" onClick={discardLegacySessions}>Delete them</Button>
+                  <Button variant="primary" onClick={moveLegacySessions}>Move to my history</Button>
+                </SpaceBetween>
+              </Box>
+            }
+          >
+            {legacySessionCount === 1 ? 'A conversation was' : `${legacySessionCount} conversations were`} saved on this
+            browser by an earlier version, without recording who had them. Move them to your history only if they are
+            yours; otherwise delete them. You will be asked again next time if you close this dialog.
           </Modal>
         </div>
       </Container>
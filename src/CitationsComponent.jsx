@@ -0,0 +1,51 @@
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Link
+} from "@cloudscape-design/components";
+import './CitationsComponent.css';
+
+/**
+ * Sources footer listing the documents an agent message cites
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.sources - Sources stored on the message
+ * @param {string} props.anchorPrefix - Prefix of the anchors targeted by the citation markers
+ * @returns {JSX.Element} The list of sources
+ */
+const CitationsComponent = ({ sources, anchorPrefix }) => {
+  return (
+    <div className="citation-sources">
+      <Box variant="h5" padding={{ top: "xs" }}>Sources</Box>
+      <ol>
+        {sources.map((source, index) => (
+          <li key={index} id={`${anchorPrefix}-${index + 1}`}>
+            {/^https?:\/\//.test(source.uri) ? (
+              <Link href={source.uri} external>{source.title}</Link>
+            ) : (
+              <span title={source.uri}>{source.title}</span>
+            )}
+            {source.uri && source.uri !== source.title && (
+              <Box variant="small" color="text-body-secondary">{source.uri}</Box>
+            )}
+            {source.snippet && (
+              <Box variant="small" color="text-body-secondary">
+                <i>{source.snippet}</i>
+              </Box>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+CitationsComponent.propTypes = {
+  sources: PropTypes.arrayOf(PropTypes.shape({
+    uri: PropTypes.string,
+    title: PropTypes.string,
+    snippet: PropTypes.string
+  })).isRequired,
+  anchorPrefix: PropTypes.string.isRequired
+};
+
+export default CitationsComponent;
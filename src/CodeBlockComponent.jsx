@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import CopyToClipboard from "@cloudscape-design/components/copy-to-clipboard";
+import ToggleButton from "@cloudscape-design/components/toggle-button";
+import Box from "@cloudscape-design/components/box";
+import './CodeBlockComponent.css';
+
+/**
+ * Fenced code block of a message, highlighted by rehype-highlight
+ * @param {Object} props - Component properties
+ * @param {string} props.code - Source code, copied as is
+ * @param {string} [props.language] - Language of the fence, shown in the toolbar
+ * @param {React.ReactNode} props.children - Rendered code element
+ * @returns {JSX.Element} The code block with copy and line wrapping buttons
+ */
+const CodeBlockComponent = ({ code, language, children }) => {
+  // Long lines scroll horizontally unless wrapped
+  const [isWrapped, setIsWrapped] = useState(false);
+
+  return (
+    <div className="code-block">
+      <div className="code-block-toolbar">
+        <Box variant="small" color="text-body-secondary">{language || 'text'}</Box>
+        <div className="code-block-actions">
+          <ToggleButton
+            variant="icon"
+            iconName="transcript"
+            pressedIconName="transcript"
+            pressed={isWrapped}
+            ariaLabel="Wrap lines"
+            onChange={({ detail }) => setIsWrapped(detail.pressed)}
+          />
+          <CopyToClipboard
+            variant="icon"
+            textToCopy={code}
+            copyButtonAriaLabel="Copy code"
+            copySuccessText="Code copied"
+            copyErrorText="Code could not be copied"
+          />
+        </div>
+      </div>
+      <pre className={isWrapped ? 'code-block-wrapped' : undefined}>{children}</pre>
+    </div>
+  );
+};
+
+CodeBlockComponent.propTypes = {
+  code: PropTypes.string.isRequired,
+  language: PropTypes.string,
+  children: PropTypes.node
+};
+
+export default CodeBlockComponent;
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { Amplify } from 'aws-amplify';
 import {
+  Alert,
   Container,
   Header,
   SpaceBetween,
@@ -10,7 +11,128 @@ import {
   Input,
   Button,
   Select,
+  Checkbox,
+  ExpandableSection,
+  StatusIndicator,
+  Box,
+  Slider,
 } from "@cloudscape-design/components";
+import { resolveProvider } from './js/providers';
+import { getProfiles, findProfile, createProfile, profileName, emptyAgentSections } from './js/profiles';
+import { getDefaultConfig, mergeConfig, applyLockedFields, isLocked } from './js/defaultConfig';
+import { listBedrockAgents, listBedrockAgentAliases, listAgentCoreRuntimes } from './js/agentDiscovery';
+import { CONFIG_VERSION, getConfigErrors, isRegionName, readStoredConfig, regionFromArn, validateConfig } from './js/configSchema';
+import useAgentDiscovery from './js/useAgentDiscovery';
+import useTextToSpeech from './js/useTextToSpeech';
+import { DICTATION_LANGUAGES } from './js/dictation';
+import { runConnectionTest } from './js/connectionTest';
+import ContextWindowComponent from './ContextWindowComponent';
+
+/**
+ * Keeps a value typed earlier selectable when it is not part of the discovered list
+ * @param {Array<Object>} options - Options built from the discovered items
+ * @param {string} value - Current value of the field
+ * @returns {Array<Object>} Options including the current value
+ */
+const withCurrentValue = (options, value) => (
+  value && !options.some(option => option.value === value) ? [{ value, label: value }, ...options] : options
+);
+
+/**
+ * Explains why a list of agents is not offered, or how to type the value instead
+ * @param {Object} discovery - State returned by useAgentDiscovery
+ * @param {string} permission - IAM action needed to list the resources
+ * @param {string} resources - Plural name of the listed resources
+ * @returns {string|undefined} Description shown under the field
+ */
+const discoveryDescription = (discovery, permission, resources) => {
+  switch (discovery.status) {
+    case 'denied':
+      return `Your role is not allowed to list ${resources} (${permission}). Enter the value manually.`;
+    case 'error':
+      return `The ${resources} could not be listed: ${discovery.error} Enter the value manually.`;
+    case 'signedOut':
+      return `Sign in, then edit the settings to choose from your ${resources}.`;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * @returns {Object} Configuration with every field empty
+ */
+const createEmptyConfig = () => ({
+  // Cognito authentication configuration
+  cognito: {
+    userPoolId: '',
+    userPoolClientId: '',
+    region: '',
+    identityPoolId: ''
+  },
+  // Agent sections of the profile being edited
+  ...emptyAgentSections(),
+  // Agent profiles; the bedrock, strands and agentcore sections above hold the profile being edited
+  profiles: [],
+  // Profile used for new conversations
+  activeProfileId: 'default',
+  // Where conversation history is kept: 'local' (browser) or 'amplify' (Amplify Data API)
+  history: {
+    backend: 'local',
+    graphqlEndpoint: '',
+    // Delete this browser's copy of the user's history when they sign out
+    purgeOnSignOut: true,
+    // Days of inactivity after which a session kept in the browser is deleted; 0 keeps sessions forever
+    retentionDays: 0
+  },
+  display: {
+    // Render the sanitized HTML embedded in agent responses, see MarkdownComponent
+    allowHtml: true
+  },
+  speech: {
+    // voiceURI of the voice reading responses aloud; empty for the browser default
+    voice: '',
+    // Speaking rate between 0.5 and 2
+    rate: 1,
+    // BCP 47 tag of the dictation language; empty for the browser language
+    language: '',
+    // Keep dictating through pauses until stopped, with spoken punctuation
+    continuousDictation: false
+  }
+});
+
+/**
+ * Shows a configuration in the form: its active profile fills the agent sections
+ * Configurations saved before profiles existed hold their only agent in the top-level sections
+ * @param {Object} appConfig - Stored or default configuration
+ * @returns {Object} Form state
+ */
+const toFormConfig = (appConfig) => {
+  const profiles = getProfiles(appConfig);
+  const profile = findProfile({ ...appConfig, profiles });
+  return {
+    ...appConfig,
+    profiles,
+    activeProfileId: profile.id,
+    bedrock: profile.bedrock,
+    strands: profile.strands,
+    agentcore: profile.agentcore
+  };
+};
+
+/**
+ * @param {Object} formConfig - Form state whose profiles include the edited one
+ * @returns {Object} Configuration saved to localStorage; agent sections are only kept inside the profiles
+ */
+const toStoredConfig = (formConfig) => {
+  const savedConfig = { ...formConfig, version: CONFIG_VERSION };
+  delete savedConfig.bedrock;
+  delete savedConfig.strands;
+  delete savedConfig.agentcore;
+  return savedConfig;
+};
+
+// Shown under fields set by the administrator in config.json
+const LOCKED_DESCRIPTION = 'Set by your administrator';
 
 /**
  * Component for managing application configuration
@@ -23,38 +145,25 @@ import {
  */
 const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) => {
   
+  // Administrator defaults and locked fields deployed with the application
+  const [defaults] = useState(getDefaultConfig);
+
   /**
    * Configuration state schema
    * Contains AWS service endpoints and credentials
    */
-  const [config, setConfig] = useState({
-    // Cognito authentication configuration
-    cognito: {
-      userPoolId: '',
-      userPoolClientId: '',
-      region: '',
-      identityPoolId: ''
-    },
-    bedrock: {
-      agentName: '',
-      agentId: '',
-      agentAliasId: '',
-      region: ''
-    },
-    strands: {
-      enabled: false,
-      lambdaArn: '',
-      agentName: 'Strands Agent',
-      region: ''
-    },
-    agentcore: {
-      enabled: false,
-      agentArn: '',
-      agentName: 'AgentCore Agent',
-      region: ''
-    }
-  });
+  const [config, setConfig] = useState(createEmptyConfig);
   const [errors, setErrors] = useState({});
+  // Profile whose agent sections are shown in the form
+  const [editedProfileId, setEditedProfileId] = useState('default');
+  // True when the user prefers typing identifiers over picking them from the discovered lists
+  const [manualEntry, setManualEntry] = useState(false);
+  // Reason the saved configuration was discarded when it could not be read
+  const [loadError, setLoadError] = useState('');
+  // Steps reported by the last connection test, and whether it is still running
+  const [connectionTest, setConnectionTest] = useState({ running: false, steps: [] });
+  // Voices of this browser, and a preview of the selected one
+  const { voices, speak, speechSynthesisSupported } = useTextToSpeech(config.speech);
 
   const configureAmplify = useCallback((config) => {
     Amplify.configure({
@@ -65,87 +174,64 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
           userPoolClientId: config.cognito.userPoolClientId,
           identityPoolId: config.cognito.identityPoolId
         },
-      }
+      },
+      // Amplify Data API used for server-side conversation history
+      ...(config.history?.backend === 'amplify' && {
+        API: {
+          GraphQL: {
+            endpoint: config.history.graphqlEndpoint,
+            region: config.cognito.region,
+            defaultAuthMode: 'userPool'
+          }
+        }
+      })
     });
   }, []);
 
   const validateForm = () => {
-    const newErrors = {};
-    
-    // Validate Cognito fields
-    if (!config.cognito.userPoolId.trim()) {
-      newErrors.userPoolId = 'User Pool ID is required';
-    }
-    if (!config.cognito.userPoolClientId.trim()) {
-      newErrors.userPoolClientId = 'User Pool Client ID is required';
-    }
-    if (!config.cognito.identityPoolId.trim()) {
-      newErrors.identityPoolId = 'Identity Pool ID is required';
-    }
-    if (!config.cognito.region.trim()) {
-      newErrors.cognitoRegion = 'Cognito Region is required';
-    }
-
-    // Validate Bedrock fields if neither Strands nor AgentCore is enabled
-    if (!config.strands.enabled && !config.agentcore.enabled) {
-      if (!config.bedrock.agentId.trim()) {
-        newErrors.agentId = 'Agent ID is required';
-      }
-      if (!config.bedrock.agentAliasId.trim()) {
-        newErrors.agentAliasId = 'Agent Alias ID is required';
-      }
-      if (!config.bedrock.region.trim()) {
-        newErrors.bedrockRegion = 'Bedrock Region is required';
-      }
-    }
-    
-    // Validate Strands fields if enabled
-    if (config.strands.enabled) {
-      if (!config.strands.lambdaArn.trim()) {
-        newErrors.lambdaArn = 'Lambda ARN is required';
-      }
-      if (!config.strands.region.trim()) {
-        newErrors.strandsRegion = 'Region is required';
-      }
-    }
-
-    // Validate AgentCore fields if enabled
-    if (config.agentcore.enabled) {
-      if (!config.agentcore.agentArn.trim()) {
-        newErrors.agentCoreArn = 'AgentCore ARN is required';
-      }
-      if (!config.agentcore.region.trim()) {
-        newErrors.agentCoreRegion = 'Region is required';
-      }
-    }
-
+    const newErrors = getConfigErrors(config);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
   useEffect(() => {
-    const storedConfig = localStorage.getItem('appConfig');
-    if (storedConfig) {
-      const parsedConfig = JSON.parse(storedConfig);
-      
-      // Ensure the strands object exists with default values if missing
-      if (!parsedConfig.strands) {
-        parsedConfig.strands = {
-          enabled: false,
-          lambdaArn: '',
-          agentName: 'Strands Agent',
-          region: ''
-        };
-      }
-      
-      if (!isEditingConfig) {
-        configureAmplify(parsedConfig);
-      } else {
-        console.log("loading configuration");
-        setConfig(parsedConfig);
+    const { config: storedConfig, error } = readStoredConfig();
+    if (error) {
+      // A configuration that cannot be read is replaced rather than crashing the chat
+      console.error('Error reading stored configuration:', error);
+      localStorage.removeItem('appConfig');
+      setLoadError(error);
+    }
+    if (!storedConfig) {
+      // Start from the defaults deployed by the administrator
+      const defaultConfig = toFormConfig(mergeConfig(createEmptyConfig(), defaults.config));
+      const savedConfig = toStoredConfig(defaultConfig);
+      if (!isEditingConfig && !error && validateConfig(savedConfig).length === 0) {
+        // Complete defaults need no setup from the user
+        localStorage.setItem('appConfig', JSON.stringify(savedConfig));
+        configureAmplify(savedConfig);
+        onConfigSet();
+        return;
       }
+      setConfig(defaultConfig);
+      setEditedProfileId(defaultConfig.activeProfileId);
+      return;
     }
-  }, [isEditingConfig, onConfigSet, configureAmplify]);
+
+    // Fields locked by the administrator keep their deployed value, even if changed since the configuration was saved
+    const parsedConfig = applyLockedFields(storedConfig, defaults);
+
+    if (!isEditingConfig) {
+      // Saved in the current schema version once migrated
+      localStorage.setItem('appConfig', JSON.stringify(parsedConfig));
+      configureAmplify(parsedConfig);
+    } else {
+      console.log("loading configuration");
+      const formConfig = toFormConfig(parsedConfig);
+      setConfig(formConfig);
+      setEditedProfileId(formConfig.activeProfileId);
+    }
+  }, [isEditingConfig, onConfigSet, configureAmplify, defaults]);
 
   const handleInputChange = (section, field, value) => {
     setConfig(prevConfig => ({
@@ -157,38 +243,167 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
     }));
   };
 
-  // Extract region from Lambda ARN if it's a valid ARN
-  const extractRegionFromLambdaArn = (arn) => {
-    // Validate if it's a Lambda ARN format: arn:aws:lambda:REGION:ACCOUNT:function:NAME
-    const arnPattern = /^arn:aws:lambda:([a-z0-9-]+):\d+:function:.+$/;
-    const match = arn.match(arnPattern);
-    
-    if (match && match[1]) {
-      return match[1]; // Return the extracted region
-    }
-    return ''; // Return empty string if not a valid Lambda ARN
-  };
-
   // Update Strands region when Lambda ARN changes
   useEffect(() => {
     if (config.strands.enabled && config.strands.lambdaArn) {
-      const region = extractRegionFromLambdaArn(config.strands.lambdaArn);
+      const region = regionFromArn(config.strands.lambdaArn);
       if (region) {
         handleInputChange('strands', 'region', region);
       }
     }
   }, [config.strands.lambdaArn, config.strands.enabled]);
 
+  // Update AgentCore region when the runtime ARN changes
+  useEffect(() => {
+    if (config.agentcore.enabled && config.agentcore.agentArn) {
+      const region = regionFromArn(config.agentcore.agentArn);
+      if (region) {
+        handleInputChange('agentcore', 'region', region);
+      }
+    }
+  }, [config.agentcore.agentArn, config.agentcore.enabled]);
+
+  // List functions for the discovery hooks, recreated when the region or agent changes
+  const listAgents = useCallback(
+    (credentials) => listBedrockAgents(config.bedrock.region, credentials),
+    [config.bedrock.region]
+  );
+  const listAliases = useCallback(
+    (credentials) => listBedrockAgentAliases(config.bedrock.region, credentials, config.bedrock.agentId),
+    [config.bedrock.region, config.bedrock.agentId]
+  );
+  const listRuntimes = useCallback(
+    (credentials) => listAgentCoreRuntimes(config.agentcore.region, credentials),
+    [config.agentcore.region]
+  );
+
+  /**
+   * @returns {Array<Object>} Profiles with the edited one replaced by the agent sections of the form
+   */
+  const commitEditedProfile = () => {
+    const edited = { id: editedProfileId, bedrock: config.bedrock, strands: config.strands, agentcore: config.agentcore };
+    return config.profiles.some(profile => profile.id === editedProfileId)
+      ? config.profiles.map(profile => (profile.id === editedProfileId ? edited : profile))
+      : [...config.profiles, edited];
+  };
+
+  /**
+   * Shows a profile's agent sections in the form
+   * @param {Array<Object>} profiles - Profiles to keep in the configuration
+   * @param {Object} profile - Profile to edit
+   */
+  const editProfile = (profiles, profile) => {
+    setConfig(prevConfig => ({
+      ...prevConfig,
+      profiles,
+      activeProfileId: profiles.some(p => p.id === prevConfig.activeProfileId) ? prevConfig.activeProfileId : profiles[0].id,
+      bedrock: profile.bedrock,
+      strands: profile.strands,
+      agentcore: profile.agentcore
+    }));
+    setEditedProfileId(profile.id);
+    setErrors({});
+  };
+
+  // Switch the form to another profile once the edited one is valid
+  const handleProfileChange = (profileId) => {
+    if (validateForm()) {
+      const profiles = commitEditedProfile();
+      editProfile(profiles, profiles.find(profile => profile.id === profileId));
+    }
+  };
+
+  // Add an empty profile once the edited one is valid
+  const handleAddProfile = () => {
+    if (validateForm()) {
+      const profile = createProfile();
+      editProfile([...commitEditedProfile(), profile], profile);
+    }
+  };
+
+  // Remove the edited profile and show the first remaining one
+  const handleRemoveProfile = () => {
+    const profiles = config.profiles.filter(profile => profile.id !== editedProfileId);
+    if (profiles.length > 0) {
+      editProfile(profiles, profiles[0]);
+    }
+  };
+
+  // Check the Cognito setup and the edited agent profile against AWS
+  const handleTestConnection = async () => {
+    if (!validateForm()) {
+      return;
+    }
+    setConnectionTest({ running: true, steps: [] });
+    for await (const step of runConnectionTest(config)) {
+      setConnectionTest(prev => ({ ...prev, steps: [...prev.steps, step] }));
+    }
+    setConnectionTest(prev => ({ ...prev, running: false }));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (validateForm()) {
-      localStorage.setItem('appConfig', JSON.stringify(config));
+      const savedConfig = applyLockedFields(toStoredConfig({ ...config, profiles: commitEditedProfile() }), defaults);
+      localStorage.setItem('appConfig', JSON.stringify(savedConfig));
       configureAmplify(config);
       setEditingConfig(false);
       onConfigSet();
     }
   };
 
+  /**
+   * @param {string} path - Configuration path, e.g. "cognito.region"
+   * @returns {boolean} True if the administrator locked the field
+   */
+  const locked = (path) => isLocked(defaults.lockedFields, path);
+  // Agents are deployed by the administrator and cannot be edited
+  const profilesLocked = locked('profiles');
+
+  // Agents are listed once the user is signed in, i.e. when editing the settings from the chat
+  const bedrockSelected = !config.strands.enabled && !config.agentcore.enabled && !profilesLocked;
+  const bedrockAgents = useAgentDiscovery(
+    isEditingConfig && bedrockSelected && isRegionName(config.bedrock.region) ? listAgents : null
+  );
+  const bedrockAliases = useAgentDiscovery(
+    bedrockAgents.status === 'loaded' && config.bedrock.agentId ? listAliases : null
+  );
+  const agentCoreRuntimes = useAgentDiscovery(
+    isEditingConfig && config.agentcore.enabled && !profilesLocked && isRegionName(config.agentcore.region) ? listRuntimes : null
+  );
+
+  /**
+   * @param {Object} discovery - State returned by useAgentDiscovery
+   * @returns {boolean} True if the field offers a list instead of a text input
+   */
+  const isPicking = (discovery) => !manualEntry && ['loading', 'loaded'].includes(discovery.status);
+
+  const agentOptions = withCurrentValue(bedrockAgents.items.map(agent => ({
+    value: agent.agentId,
+    label: agent.agentName,
+    description: agent.agentId,
+    tags: [agent.status]
+  })), config.bedrock.agentId);
+  const aliasOptions = withCurrentValue(bedrockAliases.items.map(alias => ({
+    value: alias.agentAliasId,
+    label: alias.agentAliasName,
+    description: alias.agentAliasId,
+    tags: [alias.status]
+  })), config.bedrock.agentAliasId);
+  const runtimeOptions = withCurrentValue(agentCoreRuntimes.items.map(runtime => ({
+    value: runtime.agentRuntimeArn,
+    label: runtime.agentRuntimeName,
+    description: runtime.agentRuntimeArn,
+    tags: [runtime.status]
+  })), config.agentcore.agentArn);
+
+  // Profiles offered in the profile selectors, including unsaved edits of the edited one
+  const profileOptions = commitEditedProfile().map(profile => ({
+    value: profile.id,
+    label: profileName(profile),
+    description: resolveProvider(profile)?.label
+  }));
+
   return (
     // <ContentLayout>
       <div style={{ maxWidth: '600px', margin: '0 auto', overflow: 'auto', height: '100vh'}}>
@@ -216,8 +431,18 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                   </Button>
                 </SpaceBetween>
               }
+              secondaryActions={
+                <Button formAction="none" loading={connectionTest.running} onClick={handleTestConnection}>
+                  Test connection
+                </Button>
+              }
             >
               <SpaceBetween size="l">
+                {loadError && (
+                  <Alert type="warning" header="Your saved settings could not be read" dismissible onDismiss={() => setLoadError('')}>
+                    {loadError}. The configuration was reset; please enter it again.
+                  </Alert>
+                )}
                 <Container
                   header={
                     <Header variant="h2">Amazon Cognito setup</Header>
@@ -228,10 +453,12 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       label="User Pool ID" 
                       isRequired 
                       errorText={errors.userPoolId}
+                      description={locked('cognito.userPoolId') ? LOCKED_DESCRIPTION : undefined}
                     >
                       <Input
                         value={config.cognito.userPoolId}
                         isRequired
+                        readOnly={locked('cognito.userPoolId')}
                         placeholder='e.g. us-east-1_uXboG5pAb'
                         onChange={({ detail }) => {
                           handleInputChange('cognito', 'userPoolId', detail.value);
@@ -243,10 +470,12 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       label="User Pool Client ID" 
                       isRequired 
                       errorText={errors.userPoolClientId}
+                      description={locked('cognito.userPoolClientId') ? LOCKED_DESCRIPTION : undefined}
                     >
                       <Input
                         value={config.cognito.userPoolClientId}
                         isRequired
+                        readOnly={locked('cognito.userPoolClientId')}
                         placeholder='e.g. 25ddkmj4v6hfsfvruhpfi7n4hv'
                         onChange={({ detail }) => {
                           handleInputChange('cognito', 'userPoolClientId', detail.value);
@@ -258,10 +487,12 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       label="Identity Pool ID" 
                       isRequired
                       errorText={errors.identityPoolId}
+                      description={locked('cognito.identityPoolId') ? LOCKED_DESCRIPTION : undefined}
                     >
                       <Input
                         value={config.cognito.identityPoolId}
                         isRequired
+                        readOnly={locked('cognito.identityPoolId')}
                         placeholder='e.g. us-east-1:a0421ced-2ae0-45ab-a503-21f6f23c5562'
                         onChange={({ detail }) => {
                           handleInputChange('cognito', 'identityPoolId', detail.value);
@@ -273,10 +504,12 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       label="Region" 
                       isRequired
                       errorText={errors.cognitoRegion}
+                      description={locked('cognito.region') ? LOCKED_DESCRIPTION : undefined}
                     >
                       <Input
                         value={config.cognito.region}
                         isRequired
+                        readOnly={locked('cognito.region')}
                         placeholder='e.g. us-east-1'
                         onChange={({ detail }) => {
                           handleInputChange('cognito', 'region', detail.value);
@@ -287,6 +520,46 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                   </SpaceBetween>
                 </Container>
             
+                <Container
+                  header={
+                    <Header
+                      variant="h2"
+                      description={profilesLocked
+                        ? `Agents you can switch between from the chat. ${LOCKED_DESCRIPTION}.`
+                        : "Agents you can switch between from the chat"}
+                      actions={
+                        <SpaceBetween direction="horizontal" size="xs">
+                          <Button formAction="none" iconName="add-plus" disabled={profilesLocked} onClick={handleAddProfile}>Add agent</Button>
+                          <Button formAction="none" disabled={profilesLocked || profileOptions.length < 2} onClick={handleRemoveProfile}>Remove</Button>
+                        </SpaceBetween>
+                      }
+                    >
+                      Agent profiles
+                    </Header>
+                  }
+                >
+                  <SpaceBetween size="l">
+                    <FormField label={profilesLocked ? "Profile" : "Profile to edit"}>
+                      <Select
+                        selectedOption={profileOptions.find(option => option.value === editedProfileId)}
+                        onChange={({ detail }) => handleProfileChange(detail.selectedOption.value)}
+                        options={profileOptions}
+                      />
+                    </FormField>
+                    <FormField
+                      label="Default agent"
+                      description={locked('activeProfileId') ? LOCKED_DESCRIPTION : "Used for new conversations"}
+                    >
+                      <Select
+                        disabled={locked('activeProfileId')}
+                        selectedOption={profileOptions.find(option => option.value === config.activeProfileId) || profileOptions[0]}
+                        onChange={({ detail }) => setConfig({ ...config, activeProfileId: detail.selectedOption.value })}
+                        options={profileOptions}
+                      />
+                    </FormField>
+                  </SpaceBetween>
+                </Container>
+
                 <Container
                   header={
                     <Header variant="h2">Agent Selection</Header>
@@ -297,6 +570,7 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       label="Select Agent Type"
                     >
                       <Select
+                        disabled={profilesLocked}
                         selectedOption={{
                           value: config.agentcore.enabled ? 'agentcore' : (config.strands.enabled ? 'strands' : 'bedrock'),
                           label: config.agentcore.enabled ? 'AgentCore Agent' : (config.strands.enabled ? 'Strands Agent' : 'Bedrock Agent')
@@ -321,6 +595,15 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                         ]}
                       />
                     </FormField>
+                    {isEditingConfig && !profilesLocked && (
+                      <Checkbox
+                        checked={manualEntry}
+                        onChange={({ detail }) => setManualEntry(detail.checked)}
+                        description="Agents, aliases and runtimes are listed with your credentials when your role allows it"
+                      >
+                        Enter agent identifiers manually
+                      </Checkbox>
+                    )}
                   </SpaceBetween>
                 </Container>
             
@@ -337,6 +620,7 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       >
                         <Input
                           value={config.bedrock.agentName}
+                          readOnly={profilesLocked}
                           placeholder='e.g. MyAgent'
                           onChange={({ detail }) => {
                             handleInputChange('bedrock', 'agentName', detail.value);
@@ -345,49 +629,93 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                         />
                       </FormField>
                       <FormField 
-                        label="Agent ID" 
+                        label="Region" 
                         isRequired
-                        errorText={errors.agentId}
+                        errorText={errors.bedrockRegion}
                       >
                         <Input
-                          value={config.bedrock.agentId}
+                          value={config.bedrock.region}
+                          readOnly={profilesLocked}
                           isRequired
-                          placeholder='e.g. UF1W5WKVYI'
+                          placeholder='e.g. us-east-1'
                           onChange={({ detail }) => {
-                            handleInputChange('bedrock', 'agentId', detail.value);
-                            setErrors({...errors, agentId: ''});
+                            handleInputChange('bedrock', 'region', detail.value);
+                            setErrors({...errors, bedrockRegion: ''});
                           }}
                         />
                       </FormField>
                       <FormField 
-                        label="Agent Alias ID" 
+                        label="Agent ID" 
                         isRequired
-                        errorText={errors.agentAliasId}
+                        errorText={errors.agentId}
+                        description={discoveryDescription(bedrockAgents, 'bedrock:ListAgents', 'agents')}
                       >
-                        <Input
-                          value={config.bedrock.agentAliasId}
-                          isRequired
-                          placeholder='e.g. TSTALIASID (by default will point to your draft)'
-                          onChange={({ detail }) => {
-                            handleInputChange('bedrock', 'agentAliasId', detail.value);
-                            setErrors({...errors, agentAliasId: ''});
-                          }}
-                        />
+                        {isPicking(bedrockAgents) ? (
+                          <Select
+                            selectedOption={agentOptions.find(option => option.value === config.bedrock.agentId) || null}
+                            options={agentOptions}
+                            statusType={bedrockAgents.status === 'loading' ? 'loading' : 'finished'}
+                            loadingText="Loading agents"
+                            empty="No agents in this region"
+                            filteringType="auto"
+                            placeholder="Choose an agent"
+                            onChange={({ detail }) => {
+                              setConfig(prevConfig => ({
+                                ...prevConfig,
+                                bedrock: {
+                                  ...prevConfig.bedrock,
+                                  agentId: detail.selectedOption.value,
+                                  agentAliasId: '',
+                                  agentName: prevConfig.bedrock.agentName || detail.selectedOption.label
+                                }
+                              }));
+                              setErrors({...errors, agentId: ''});
+                            }}
+                          />
+                        ) : (
+                          <Input
+                            value={config.bedrock.agentId}
+                            readOnly={profilesLocked}
+                            isRequired
+                            placeholder='e.g. UF1W5WKVYI'
+                            onChange={({ detail }) => {
+                              handleInputChange('bedrock', 'agentId', detail.value);
+                              setErrors({...errors, agentId: ''});
+                            }}
+                          />
+                        )}
                       </FormField>
                       <FormField 
-                        label="Region" 
+                        label="Agent Alias ID" 
                         isRequired
-                        errorText={errors.bedrockRegion}
+                        errorText={errors.agentAliasId}
+                        description={discoveryDescription(bedrockAliases, 'bedrock:ListAgentAliases', 'aliases')}
                       >
-                        <Input
-                          value={config.bedrock.region}
-                          isRequired
-                          placeholder='e.g. us-east-1'
-                          onChange={({ detail }) => {
-                            handleInputChange('bedrock', 'region', detail.value);
-                            setErrors({...errors, bedrockRegion: ''});
-                          }}
-                        />
+                        {isPicking(bedrockAliases) ? (
+                          <Select
+                            selectedOption={aliasOptions.find(option => option.value === config.bedrock.agentAliasId) || null}
+                            options={aliasOptions}
+                            statusType={bedrockAliases.status === 'loading' ? 'loading' : 'finished'}
+                            loadingText="Loading aliases"
+                            empty="This agent has no aliases"
+                            placeholder="Choose an alias"
+                            onChange={({ detail }) => {
+                              handleInputChange('bedrock', 'agentAliasId', detail.selectedOption.value);
+                              setErrors({...errors, agentAliasId: ''});
+                            }}
+                          />
+                        ) : (
+                          <Input
+                            value={config.bedrock.agentAliasId}
+                            readOnly={profilesLocked}
+                            isRequired
+                            placeholder='e.g. TSTALIASID (by default will point to your draft)'
+                            onChange={({ detail }) => {
+                              handleInputChange('bedrock', 'agentAliasId', detail.value);
+                              setErrors({...errors, agentAliasId: ''});
+                            }}
+                          />
+                        )}
                       </FormField>
                     </SpaceBetween>
                   </Container>
@@ -406,6 +734,7 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       >
                         <Input
                           value={config.strands.agentName}
+                          readOnly={profilesLocked}
                           placeholder='e.g. Weather Agent'
                           onChange={({ detail }) => {
                             handleInputChange('strands', 'agentName', detail.value);
@@ -420,6 +749,7 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       >
                         <Input
                           value={config.strands.lambdaArn}
+                          readOnly={profilesLocked}
                           isRequired
                           placeholder='e.g. arn:aws:lambda:us-east-1:123456789012:function:my-strands-agent'
                           onChange={({ detail }) => {
@@ -436,15 +766,57 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       >
                         <Input
                           value={config.strands.region}
+                          readOnly={profilesLocked}
                           isRequired
                           placeholder='e.g. us-east-1'
-                          disabled={!!extractRegionFromLambdaArn(config.strands.lambdaArn)}
+                          disabled={!!regionFromArn(config.strands.lambdaArn)}
                           onChange={({ detail }) => {
                             handleInputChange('strands', 'region', detail.value);
                             setErrors({...errors, strandsRegion: ''});
                           }}
                         />
                       </FormField>
+                      <Checkbox
+                        checked={!!config.strands.responseStreaming}
+                        disabled={profilesLocked}
+                        onChange={({ detail }) => handleInputChange('strands', 'responseStreaming', detail.checked)}
+                        description="Invoke the function with InvokeWithResponseStream and show the answer as it is written"
+                      >
+                        Lambda response streaming
+                      </Checkbox>
+                      <ContextWindowComponent
+                        value={config.strands.contextWindow}
+                        readOnly={profilesLocked}
+                        errorText={errors.strandsContextWindow}
+                        onChange={(contextWindow) => {
+                          handleInputChange('strands', 'contextWindow', contextWindow);
+                          setErrors({...errors, strandsContextWindow: ''});
+                        }}
+                      />
+                      <ExpandableSection
+                        headerText="Response mapping"
+                        headerDescription="The function receives { query, sessionId, user, history, summary, attachments }. JSON paths locate the answer in its response; a JSON body string is parsed first."
+                      >
+                        <SpaceBetween size="l">
+                          {[
+                            { field: 'text', errorKey: 'responseTextPath', label: 'Text path', placeholder: 'e.g. output.message' },
+                            { field: 'citations', errorKey: 'responseCitationsPath', label: 'Citations path', placeholder: 'e.g. sources' },
+                            { field: 'error', errorKey: 'responseErrorPath', label: 'Error path', placeholder: 'e.g. error.message' }
+                          ].map(({ field, errorKey, label, placeholder }) => (
+                            <FormField key={field} label={label} errorText={errors[errorKey]}>
+                              <Input
+                                value={config.strands.responseMapping?.[field] || ''}
+                                readOnly={profilesLocked}
+                                placeholder={placeholder}
+                                onChange={({ detail }) => {
+                                  handleInputChange('strands', 'responseMapping', { ...config.strands.responseMapping, [field]: detail.value });
+                                  setErrors({...errors, [errorKey]: ''});
+                                }}
+                              />
+                            </FormField>
+                          ))}
+                        </SpaceBetween>
+                      </ExpandableSection>
                     </SpaceBetween>
                   </Container>
                 )}
@@ -461,6 +833,7 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                       >
                         <Input
                           value={config.agentcore.agentName}
+                          readOnly={profilesLocked}
                           placeholder='e.g. Virtual Meteorologist'
                           onChange={({ detail }) => {
                             handleInputChange('agentcore', 'agentName', detail.value);
@@ -469,33 +842,269 @@ const ConfigComponent = ({ onConfigSet, isEditingConfig, setEditingConfig }) =>
                         />
                       </FormField>
                       <FormField 
-                        label="AgentCore ARN" 
+                        label="Region" 
                         isRequired
-                        errorText={errors.agentCoreArn}
+                        errorText={errors.agentCoreRegion}
+                        description="Automatically detected from AgentCore ARN if valid"
                       >
                         <Input
-                          value={config.agentcore.agentArn}
-                          placeholder='e.g. arn:aws:bedrock-agentcore:us-east-1:123456789012:runtime/agent-xyz'
+                          value={config.agentcore.region}
+                          readOnly={profilesLocked}
+                          disabled={!!regionFromArn(config.agentcore.agentArn)}
+                          placeholder='e.g. us-east-1'
                           onChange={({ detail }) => {
-                            handleInputChange('agentcore', 'agentArn', detail.value);
-                            setErrors({...errors, agentCoreArn: ''});
+                            handleInputChange('agentcore', 'region', detail.value);
+                            setErrors({...errors, agentCoreRegion: ''});
                           }}
                         />
                       </FormField>
                       <FormField 
-                        label="Region" 
+                        label="AgentCore ARN" 
                         isRequired
-                        errorText={errors.agentCoreRegion}
+                        errorText={errors.agentCoreArn}
+                        description={discoveryDescription(agentCoreRuntimes, 'bedrock-agentcore:ListAgentRuntimes', 'runtimes')}
+                      >
+                        {isPicking(agentCoreRuntimes) ? (
+                          <Select
+                            selectedOption={runtimeOptions.find(option => option.value === config.agentcore.agentArn) || null}
+                            options={runtimeOptions}
+                            statusType={agentCoreRuntimes.status === 'loading' ? 'loading' : 'finished'}
+                            loadingText="Loading runtimes"
+                            empty="No AgentCore runtimes in this region"
+                            filteringType="auto"
+                            placeholder="Choose a runtime"
+                            onChange={({ detail }) => {
+                              setConfig(prevConfig => ({
+                                ...prevConfig,
+                                agentcore: {
+                                  ...prevConfig.agentcore,
+                                  agentArn: detail.selectedOption.value,
+                                  agentName: prevConfig.agentcore.agentName || detail.selectedOption.label
+                                }
+                              }));
+                              setErrors({...errors, agentCoreArn: ''});
+                            }}
+                          />
+                        ) : (
+                          <Input
+                            value={config.agentcore.agentArn}
+                            readOnly={profilesLocked}
+                            placeholder='e.g. arn:aws:bedrock-agentcore:us-east-1:123456789012:runtime/agent-xyz'
+                            onChange={({ detail }) => {
+                              handleInputChange('agentcore', 'agentArn', detail.value);
+                              setErrors({...errors, agentCoreArn: ''});
+                            }}
+                          />
+                        )}
+                      </FormField>
+                      <ContextWindowComponent
+                        value={config.agentcore.contextWindow}
+                        readOnly={profilesLocked}
+                        errorText={errors.agentCoreContextWindow}
+                        onChange={(contextWindow) => {
+                          handleInputChange('agentcore', 'contextWindow', contextWindow);
+                          setErrors({...errors, agentCoreContextWindow: ''});
+                        }}
+                      />
+                    </SpaceBetween>
+                  </Container>
+                )}
+
+                <Container
+                  header={
+                    <Header variant="h2" description="Where your conversations are saved">Conversation history</Header>
+                  }
+                >
+                  <SpaceBetween size="l">
+                    <FormField label="Storage" description={locked('history.backend') ? LOCKED_DESCRIPTION : undefined}>
+                      <Select
+                        disabled={locked('history.backend')}
+                        selectedOption={config.history.backend === 'amplify'
+                          ? { value: 'amplify', label: 'Amplify Data API (synced across devices)' }
+                          : { value: 'local', label: 'This browser only' }}
+                        onChange={({ detail }) => {
+                          handleInputChange('history', 'backend', detail.selectedOption.value);
+                          setErrors({...errors, graphqlEndpoint: ''});
+                        }}
+                        options={[
+                          { value: 'local', label: 'This browser only' },
+                          { value: 'amplify', label: 'Amplify Data API (synced across devices)' }
+                        ]}
+                      />
+                    </FormField>
+                    {config.history.backend === 'amplify' && (
+                      <FormField 
+                        label="GraphQL endpoint" 
+                        isRequired
+                        errorText={errors.graphqlEndpoint}
+                        description={locked('history.graphqlEndpoint')
+                          ? LOCKED_DESCRIPTION
+                          : "data.url from amplify_outputs.json. Existing conversations in this browser are moved to the server on first login."}
                       >
                         <Input
-                          value={config.agentcore.region}
-                          placeholder='e.g. us-east-1'
+                          value={config.history.graphqlEndpoint}
+                          readOnly={locked('history.graphqlEndpoint')}
+                          placeholder='e.g. https://abcdefghij.appsync-api.us-east-1.amazonaws.com/graphql'
                           onChange={({ detail }) => {
-                            handleInputChange('agentcore', 'region', detail.value);
-                            setErrors({...errors, agentCoreRegion: ''});
+                            handleInputChange('history', 'graphqlEndpoint', detail.value);
+                            setErrors({...errors, graphqlEndpoint: ''});
                           }}
                         />
                       </FormField>
+                    )}
+                    {config.history.backend === 'local' && (
+                      <>
+                        <FormField
+                          label="Retention"
+                          errorText={errors.retentionDays}
+                          description={locked('history.retentionDays')
+                            ? LOCKED_DESCRIPTION
+                            : "Conversations stored in this browser are encrypted for each user. Sessions inactive for this many days are deleted; 0 keeps them indefinitely."}
+                        >
+                          <Input
+                            type="number"
+                            readOnly={locked('history.retentionDays')}
+                            inputMode="numeric"
+                            value={String(config.history.retentionDays)}
+                            onChange={({ detail }) => {
+                              handleInputChange('history', 'retentionDays', detail.value === '' ? 0 : Number(detail.value));
+                              setErrors({...errors, retentionDays: ''});
+                            }}
+                          />
+                        </FormField>
+                        <Checkbox
+                          checked={config.history.purgeOnSignOut}
+                          disabled={locked('history.purgeOnSignOut')}
+                          onChange={({ detail }) => handleInputChange('history', 'purgeOnSignOut', detail.checked)}
+                        >
+                          Delete conversations stored in this browser when signing out
+                        </Checkbox>
+                      </>
+                    )}
+                  </SpaceBetween>
+                </Container>
+                <Container
+                  header={
+                    <Header variant="h2" description="How agent responses are shown">Message display</Header>
+                  }
+                >
+                  <Checkbox
+                    checked={config.display.allowHtml}
+                    disabled={locked('display.allowHtml')}
+                    onChange={({ detail }) => handleInputChange('display', 'allowHtml', detail.checked)}
+                    description={locked('display.allowHtml')
+                      ? LOCKED_DESCRIPTION
+                      : "HTML is limited to formatting tags: scripts, event handlers and javascript: links are always removed. Clear to show markdown only."}
+                  >
+                    Render HTML in agent responses
+                  </Checkbox>
+                </Container>
+                <Container
+                  header={
+                    <Header variant="h2" description="How agent responses are read aloud and prompts dictated. Voices are the ones installed in this browser.">Voice</Header>
+                  }
+                >
+                  <SpaceBetween size="m">
+                    {speechSynthesisSupported ? (
+                      <>
+                        <FormField
+                          label="Voice"
+                          description={locked('speech.voice') ? LOCKED_DESCRIPTION : undefined}
+                          secondaryControl={
+                            <Button
+                              iconName="audio-full"
+                              onClick={() => speak('This is how agent responses will sound.', 'preview')}
+                            >
+                              Preview
+                            </Button>
+                          }
+                        >
+                          <Select
+                            selectedOption={{
+                              value: config.speech.voice,
+                              label: voices.find(voice => voice.voiceURI === config.speech.voice)?.name
+                                || (config.speech.voice ? `${config.speech.voice} (not installed in this browser)` : 'Browser default')
+                            }}
+                            options={[
+                              { value: '', label: 'Browser default' },
+                              ...voices.map(voice => ({ value: voice.voiceURI, label: voice.name, description: voice.lang }))
+                            ]}
+                            filteringType="auto"
+                            disabled={locked('speech.voice')}
+                            onChange={({ detail }) => handleInputChange('speech', 'voice', detail.selectedOption.value)}
+                          />
+                        </FormField>
+                        <FormField
+                          label="Speaking rate"
+                          description={locked('speech.rate') ? LOCKED_DESCRIPTION : undefined}
+                          errorText={errors.speechRate}
+                        >
+                          <Slider
+                            value={Number(config.speech.rate)}
+                            min={0.5}
+                            max={2}
+                            step={0.25}
+                            referenceValues={[1, 1.5]}
+                            valueFormatter={value => `${value}×`}
+                            disabled={locked('speech.rate')}
+                            onChange={({ detail }) => handleInputChange('speech', 'rate', detail.value)}
+                          />
+                        </FormField>
+                      </>
+                    ) : (
+                      <Box color="text-body-secondary">This browser cannot read responses aloud.</Box>
+                    )}
+                    <FormField
+                      label="Dictation language"
+                      description={locked('speech.language') ? LOCKED_DESCRIPTION : 'Language spoken when dictating prompts with the microphone button'}
+                      errorText={errors.speechLanguage}
+                    >
+                      <Select
+                        selectedOption={{
+                          value: config.speech.language,
+                          label: DICTATION_LANGUAGES.find(language => language.value === config.speech.language)?.label
+                            || config.speech.language
+                            || 'Browser language'
+                        }}
+                        options={[{ value: '', label: 'Browser language' }, ...DICTATION_LANGUAGES]}
+                        filteringType="auto"
+                        disabled={locked('speech.language')}
+                        onChange={({ detail }) => handleInputChange('speech', 'language', detail.selectedOption.value)}
+                      />
+                    </FormField>
+                    <Checkbox
+                      checked={config.speech.continuousDictation}
+                      disabled={locked('speech.continuousDictation')}
+                      onChange={({ detail }) => handleInputChange('speech', 'continuousDictation', detail.checked)}
+                      description={locked('speech.continuousDictation')
+                        ? LOCKED_DESCRIPTION
+                        : 'Keep listening through pauses until the microphone button is pressed again. In English, say "comma", "period", "question mark", "new line" or "new paragraph" to punctuate.'}
+                    >
+                      Continuous dictation
+                    </Checkbox>
+                  </SpaceBetween>
+                </Container>
+                {(connectionTest.running || connectionTest.steps.length > 0) && (
+                  <Container
+                    header={
+                      <Header
+                        variant="h2"
+                        description="Checks the Cognito setup and the agent profile being edited. Bedrock and AgentCore agents receive a short test prompt."
+                      >
+                        Connection test
+                      </Header>
+                    }
+                  >
+                    <SpaceBetween size="s">
+                      {connectionTest.steps.map(step => (
+                        <div key={step.id}>
+                          <StatusIndicator type={step.status === 'skipped' ? 'stopped' : step.status}>
+                            {step.label}
+                          </StatusIndicator>
+                          <Box variant="small" color="text-body-secondary" padding={{ left: 'l' }}>{step.message}</Box>
+                        </div>
+                      ))}
+                      {connectionTest.running && <StatusIndicator type="loading">Testing</StatusIndicator>}
                     </SpaceBetween>
                   </Container>
                 )}
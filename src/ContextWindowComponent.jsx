@@ -0,0 +1,87 @@
+import PropTypes from 'prop-types';
+import {
+  Checkbox,
+  FormField,
+  Input,
+  Select,
+  SpaceBetween
+} from "@cloudscape-design/components";
+
+const MODE_OPTIONS = [
+  { value: 'none', label: 'Do not send history', description: 'The agent keeps its own session memory' },
+  { value: 'turns', label: 'Last turns', description: 'Send the most recent exchanges' },
+  { value: 'tokens', label: 'Token budget', description: 'Send as many recent messages as fit in a number of tokens' }
+];
+
+/**
+ * Settings of the conversation history sent to a stateless agent with each prompt
+ * @param {Object} props - Component properties
+ * @param {Object} props.value - Context window settings ({ mode, turns, tokens, summarize })
+ * @param {Function} props.onChange - Called with the new settings
+ * @param {string} [props.errorText] - Validation error of the window size
+ * @param {boolean} [props.readOnly] - True if the settings are locked by the administrator
+ * @returns {JSX.Element} The context window fields
+ */
+const ContextWindowComponent = ({ value, onChange, errorText, readOnly }) => {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  return (
+    <SpaceBetween size="l">
+      <FormField
+        label="Conversation context"
+        description="History built from the stored messages of the session, sent with each prompt"
+      >
+        <Select
+          selectedOption={MODE_OPTIONS.find(option => option.value === value.mode) || MODE_OPTIONS[0]}
+          options={MODE_OPTIONS}
+          disabled={readOnly}
+          onChange={({ detail }) => update('mode', detail.selectedOption.value)}
+        />
+      </FormField>
+      {value.mode === 'turns' && (
+        <FormField label="Number of turns" errorText={errorText}>
+          <Input
+            type="number"
+            value={String(value.turns)}
+            readOnly={readOnly}
+            onChange={({ detail }) => update('turns', detail.value)}
+          />
+        </FormField>
+      )}
+      {value.mode === 'tokens' && (
+        <FormField label="Token budget" description="Estimated at four characters per token" errorText={errorText}>
+          <Input
+            type="number"
+            value={String(value.tokens)}
+            readOnly={readOnly}
+            onChange={({ detail }) => update('tokens', detail.value)}
+          />
+        </FormField>
+      )}
+      {value.mode !== 'none' && (
+        <Checkbox
+          checked={!!value.summarize}
+          disabled={readOnly}
+          onChange={({ detail }) => update('summarize', detail.checked)}
+          description="Older messages are sent as a short summary made of an excerpt of each"
+        >
+          Summarize older turns
+        </Checkbox>
+      )}
+    </SpaceBetween>
+  );
+};
+
+ContextWindowComponent.propTypes = {
+  value: PropTypes.shape({
+    mode: PropTypes.oneOf(['none', 'turns', 'tokens']),
+    turns: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    tokens: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    summarize: PropTypes.bool
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  errorText: PropTypes.string,
+  readOnly: PropTypes.bool
+};
+
+export default ContextWindowComponent;
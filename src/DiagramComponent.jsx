@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import StatusIndicator from "@cloudscape-design/components/status-indicator";
+import './DiagramComponent.css';
+
+// Counter giving each mermaid render a unique element id
+let diagramCount = 0;
+
+/**
+ * Renders mermaid source to SVG
+ * The library is loaded on first use from the application bundle, in strict mode so diagrams cannot run scripts
+ * @param {string} source - Mermaid diagram definition
+ * @returns {Promise<string>} SVG markup, sanitized by mermaid
+ */
+const renderMermaid = async (source) => {
+  const { default: mermaid } = await import('mermaid');
+  mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+  diagramCount += 1;
+  const { svg } = await mermaid.render(`mermaid-diagram-${diagramCount}`, source);
+  return svg;
+};
+
+/**
+ * Renders a vega-lite specification into an element
+ * Expressions are evaluated by the vega interpreter instead of generated functions
+ * @param {HTMLElement} element - Container of the chart
+ * @param {string} source - Vega-lite specification as JSON
+ * @returns {Promise<Function>} Releases the chart view
+ */
+const renderVegaLite = async (element, source) => {
+  const { default: embed } = await import('vega-embed');
+  const { expressionInterpreter } = await import('vega-interpreter');
+  const result = await embed(element, JSON.parse(source), {
+    actions: false,
+    renderer: 'svg',
+    ast: true,
+    expr: expressionInterpreter
+  });
+  return () => result.finalize();
+};
+
+/**
+ * Diagram or chart described by a fenced block of a message
+ * Falls back to the source with the error when it cannot be rendered
+ * @param {Object} props - Component properties
+ * @param {string} props.kind - 'mermaid' or 'vega-lite'
+ * @param {string} props.source - Content of the fenced block
+ * @returns {JSX.Element} The rendered diagram
+ */
+const DiagramComponent = ({ kind, source }) => {
+  const containerRef = useRef(null);
+  const [svg, setSvg] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let isCurrent = true;
+    let release = null;
+    setError('');
+
+    const render = async () => {
+      try {
+        if (kind === 'mermaid') {
+          const markup = await renderMermaid(source);
+          if (isCurrent) {
+            setSvg(markup);
+          }
+        } else {
+          release = await renderVegaLite(containerRef.current, source);
+          if (!isCurrent) {
+            release();
+          }
+        }
+      } catch (renderError) {
+        console.error(`Error rendering ${kind} diagram:`, renderError);
+        if (isCurrent) {
+          setError(renderError.message || String(renderError));
+        }
+      }
+    };
+    render();
+
+    return () => {
+      isCurrent = false;
+      release?.();
+    };
+  }, [kind, source]);
+
+  if (error) {
+    return (
+      <div className="diagram diagram-error">
+        <StatusIndicator type="warning">{`The ${kind} diagram could not be rendered: ${error}`}</StatusIndicator>
+        <pre><code>{source}</code></pre>
+      </div>
+    );
+  }
+  return kind === 'mermaid'
+    ? <div className="diagram" role="img" aria-label="Mermaid diagram" dangerouslySetInnerHTML={{ __html: svg }} />
+    : <div className="diagram" role="img" aria-label="Chart" ref={containerRef} />;
+};
+
+DiagramComponent.propTypes = {
+  kind: PropTypes.oneOf(['mermaid', 'vega-lite']).isRequired,
+  source: PropTypes.string.isRequired
+};
+
+export default DiagramComponent;
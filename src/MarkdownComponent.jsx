@@ -0,0 +1,160 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import ReactMarkdown from "react-markdown";
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import CodeBlockComponent from './CodeBlockComponent';
+import DiagramComponent from './DiagramComponent';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+import './MarkdownComponent.css';
+
+/**
+ * HTML allowed in agent messages
+ * The default GitHub allowlist: no script, style or iframe elements, no event handler attributes and
+ * only http, https, mailto and relative URLs, so javascript: links are removed. Element ids are
+ * prefixed so they cannot clobber globals of the page.
+ */
+const sanitizeSchema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    // Math written with $$, \( or \[ delimiters, rendered by rehype-katex
+    code: [['className', /^language-./, 'math-inline', 'math-display']]
+  }
+};
+
+// Fenced blocks rendered as diagrams, by language
+const DIAGRAM_LANGUAGES = {
+  mermaid: 'mermaid',
+  'vega-lite': 'vega-lite',
+  vegalite: 'vega-lite'
+};
+
+// Footnote ids are prefixed by the sanitizer only, see MarkdownLink
+const remarkRehypeOptions = { clobberPrefix: '' };
+
+// A single $ is text, so amounts such as "$20 to $30" stay as written
+const remarkMathOptions = { singleDollarTextMath: false };
+
+// Code, kept as written, or LaTeX math between \[ \] or \( \)
+const LATEX_DELIMITERS = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`)|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)/g;
+// LaTeX commands, scripts, groups or relations, which markdown-escaped brackets in prose such as \[1\] lack
+const LATEX_CONTENT = /\\[a-zA-Z]+|[\^_{}=<>]/;
+
+/**
+ * Rewrites LaTeX math between \[ \] and \( \) with the $$ delimiters understood by remark-math
+ * In markdown these are also escaped brackets and parentheses, so they are only taken as math when the
+ * content looks like LaTeX, or for \[ \] standing on their own lines
+ * @param {string} text - Markdown text
+ * @returns {string} The text with display math in $$ blocks and inline math between $$
+ */
+const toMathDelimiters = (text) => text.replace(LATEX_DELIMITERS, (match, code, display, inline, offset) => {
+  if (code !== undefined) {
+    return code;
+  }
+  if (display !== undefined) {
+    const onOwnLines = /^[ \t]*\n/.test(display) && /\n[ \t]*$/.test(display) && /(^|\n)[ \t]*$/.test(text.slice(0, offset));
+    return onOwnLines || LATEX_CONTENT.test(display) ? `\n$$\n${display.trim()}\n$$\n` : match;
+  }
+  return LATEX_CONTENT.test(inline) ? `$$${inline}$$` : match;
+});
+
+/**
+ * @param {string} href - Link target
+ * @returns {boolean} True for links leaving the application
+ */
+const isExternalLink = (href) => /^(https?:)?\/\//i.test(href || '');
+
+/**
+ * Link opening external pages in a new tab without giving them access to this window
+ * @param {Object} props - Properties of the rendered anchor, plus the hast node
+ * @returns {JSX.Element} The anchor
+ */
+const MarkdownLink = (props) => {
+  const anchorProps = { ...props };
+  delete anchorProps.node;
+  if (('data-footnote-ref' in anchorProps || 'data-footnote-backref' in anchorProps) && anchorProps.href?.startsWith('#')) {
+    // Point footnote links at the ids prefixed by the sanitizer
+    anchorProps.href = `#${sanitizeSchema.clobberPrefix}${anchorProps.href.slice(1)}`;
+  }
+  return isExternalLink(anchorProps.href)
+    ? <a {...anchorProps} target="_blank" rel="noopener noreferrer" />
+    : <a {...anchorProps} />;
+};
+
+/**
+ * @param {Object} node - hast node
+ * @returns {string} Text content of the node
+ */
+const nodeText = (node) => (node.type === 'text' ? node.value : (node.children || []).map(nodeText).join(''));
+
+/**
+ * Builds the renderer of pre elements: fenced code blocks and diagrams
+ * @param {boolean} isStreaming - True while the message is being received; diagrams are rendered once complete
+ * @returns {Function} Component rendering a pre element
+ */
+const createPreRenderer = (isStreaming) => {
+  const MarkdownPre = ({ node, children }) => {
+    const code = node?.children?.find(child => child.tagName === 'code');
+    const className = [code?.properties?.className || []].flat().find(name => String(name).startsWith('language-'));
+    const language = className ? String(className).slice('language-'.length) : '';
+    const source = code ? nodeText(code).replace(/\n$/, '') : '';
+    if (DIAGRAM_LANGUAGES[language] && !isStreaming) {
+      return <DiagramComponent kind={DIAGRAM_LANGUAGES[language]} source={source} />;
+    }
+    return <CodeBlockComponent code={source} language={language}>{children}</CodeBlockComponent>;
+  };
+  MarkdownPre.propTypes = {
+    node: PropTypes.object,
+    children: PropTypes.node
+  };
+  return MarkdownPre;
+};
+
+/**
+ * Markdown of a chat message, rendered as a whole so code blocks, tables and lists spanning lines work
+ * Supports GitHub Flavored Markdown (tables, task lists, strikethrough, autolinks), LaTeX math between $$,
+ * \( \) or \[ \], highlighted code blocks, and mermaid and vega-lite diagrams. HTML written by the agent is
+ * sanitized, or not rendered at all when allowHtml is false
+ * @param {Object} props - Component properties
+ * @param {string} props.text - Markdown text
+ * @param {boolean} [props.allowHtml] - Render the HTML embedded in the text
+ * @param {boolean} [props.isStreaming] - True while the message is being received
+ * @returns {JSX.Element} The rendered message
+ */
+const MarkdownComponent = ({ text, allowHtml = true, isStreaming = false }) => {
+  const components = useMemo(() => ({ a: MarkdownLink, pre: createPreRenderer(isStreaming) }), [isStreaming]);
+
+  return (
+    <div className="markdown-message">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, [remarkMath, remarkMathOptions]]}
+        remarkRehypeOptions={remarkRehypeOptions}
+        // The agent's markup is sanitized before math and code are rendered, so their trusted markup is kept
+        rehypePlugins={[
+          ...(allowHtml ? [rehypeRaw] : []),
+          [rehypeSanitize, sanitizeSchema],
+          rehypeKatex,
+          [rehypeHighlight, { plainText: Object.keys(DIAGRAM_LANGUAGES) }]
+        ]}
+        skipHtml={!allowHtml}
+        components={components}
+      >
+        {toMathDelimiters(text)}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+MarkdownComponent.propTypes = {
+  text: PropTypes.string.isRequired,
+  allowHtml: PropTypes.bool,
+  isStreaming: PropTypes.bool
+};
+
+export default MarkdownComponent;
@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import ButtonGroup from "@cloudscape-design/components/button-group";
+import Modal from "@cloudscape-design/components/modal";
+import Box from "@cloudscape-design/components/box";
+import SpaceBetween from "@cloudscape-design/components/space-between";
+import Button from "@cloudscape-design/components/button";
+import FormField from "@cloudscape-design/components/form-field";
+import Textarea from "@cloudscape-design/components/textarea";
+
+/**
+ * Controls shown under a chat message: copy, read aloud, edit, regenerate and feedback
+ * Actions without a handler are left out
+ * @param {Object} props - Component properties
+ * @param {Object} props.message - Chat message the actions apply to
+ * @param {boolean} [props.disabled] - True while the actions cannot be used, e.g. during a response
+ * @param {Function} [props.onEdit] - Starts editing the prompt
+ * @param {Function} [props.onRegenerate] - Asks the agent for another response
+ * @param {Function} [props.onFeedback] - Receives { rating, comment } or null when the rating is removed
+ * @param {Function} [props.onSpeak] - Starts or stops reading the message aloud
+ * @param {boolean} [props.isSpeaking] - True while the message is read aloud
+ * @returns {JSX.Element} The message actions
+ */
+const MessageActionsComponent = ({ message, disabled, onEdit, onRegenerate, onFeedback, onSpeak, isSpeaking }) => {
+  // Comment being written in the feedback modal, null while the modal is closed
+  const [comment, setComment] = useState(null);
+  const rating = message.feedback?.rating;
+
+  /**
+   * Records or removes a rating, keeping the comment written for the previous one
+   * @param {string} newRating - 'up' or 'down'
+   * @param {boolean} pressed - False when the rating is removed
+   */
+  const rate = (newRating, pressed) => {
+    onFeedback(pressed ? { rating: newRating, comment: message.feedback?.comment || '' } : null);
+  };
+
+  const handleItemClick = ({ detail }) => {
+    switch (detail.id) {
+      case 'speak':
+        onSpeak();
+        break;
+      case 'edit':
+        onEdit();
+        break;
+      case 'regenerate':
+        onRegenerate();
+        break;
+      case 'helpful':
+        rate('up', detail.pressed);
+        break;
+      case 'not-helpful':
+        rate('down', detail.pressed);
+        break;
+      case 'comment':
+        setComment(message.feedback?.comment || '');
+        break;
+    }
+  };
+
+  const items = [
+    {
+      type: 'icon-copy-to-clipboard',
+      id: 'copy',
+      text: 'Copy message',
+      textToCopy: message.text || '',
+      copySuccessText: 'Message copied',
+      copyErrorText: 'Message could not be copied'
+    },
+    onSpeak && {
+      type: 'icon-button',
+      id: 'speak',
+      iconName: isSpeaking ? 'stop-circle' : 'audio-full',
+      text: isSpeaking ? 'Stop reading aloud' : 'Read aloud'
+    },
+    onEdit && { type: 'icon-button', id: 'edit', iconName: 'edit', text: 'Edit and resend', disabled },
+    onRegenerate && { type: 'icon-button', id: 'regenerate', iconName: 'refresh', text: 'Regenerate response', disabled },
+    onFeedback && {
+      type: 'group',
+      text: 'Feedback',
+      items: [
+        {
+          type: 'icon-toggle-button',
+          id: 'helpful',
+          text: 'Helpful',
+          iconName: 'thumbs-up',
+          pressedIconName: 'thumbs-up-filled',
+          pressed: rating === 'up',
+          popoverFeedback: 'Rating removed',
+          pressedPopoverFeedback: 'Rated helpful'
+        },
+        {
+          type: 'icon-toggle-button',
+          id: 'not-helpful',
+          text: 'Not helpful',
+          iconName: 'thumbs-down',
+          pressedIconName: 'thumbs-down-filled',
+          pressed: rating === 'down',
+          popoverFeedback: 'Rating removed',
+          pressedPopoverFeedback: 'Rated not helpful'
+        },
+        ...(rating ? [{
+          type: 'icon-button',
+          id: 'comment',
+          iconName: 'contact',
+          text: message.feedback.comment ? 'Edit feedback comment' : 'Add feedback comment'
+        }] : [])
+      ]
+    }
+  ].filter(Boolean);
+
+  return (
+    <>
+      <ButtonGroup variant="icon" ariaLabel="Message actions" items={items} onItemClick={handleItemClick} />
+      {comment !== null && (
+        <Modal
+          visible
+          onDismiss={() => setComment(null)}
+          header="Feedback comment"
+          footer={
+            <Box float="right">
+              <SpaceBetween direction="horizontal" size="xs">
+                <Button variant="link" onClick={() => setComment(null)}>Cancel</Button>
+                <Button
+                  variant="primary"
+                  onClick={() => {
+                    onFeedback({ rating, comment: comment.trim() });
+                    setComment(null);
+                  }}
+                >
+                  Save
+                </Button>
+              </SpaceBetween>
+            </Box>
+          }
+        >
+          <FormField
+            label="Comment (optional)"
+            description="Explain what was helpful or what went wrong. The comment is stored with the message and included in feedback exports."
+          >
+            <Textarea value={comment} rows={4} onChange={({ detail }) => setComment(detail.value)} />
+          </FormField>
+        </Modal>
+      )}
+    </>
+  );
+};
+
+MessageActionsComponent.propTypes = {
+  message: PropTypes.shape({
+    text: PropTypes.string,
+    feedback: PropTypes.shape({
+      rating: PropTypes.oneOf(['up', 'down']),
+      comment: PropTypes.string
+    })
+  }).isRequired,
+  disabled: PropTypes.bool,
+  onEdit: PropTypes.func,
+  onRegenerate: PropTypes.func,
+  onFeedback: PropTypes.func,
+  onSpeak: PropTypes.func,
+  isSpeaking: PropTypes.bool
+};
+
+export default MessageActionsComponent;
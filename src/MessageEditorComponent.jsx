@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import Textarea from "@cloudscape-design/components/textarea";
+import SpaceBetween from "@cloudscape-design/components/space-between";
+import Button from "@cloudscape-design/components/button";
+import Box from "@cloudscape-design/components/box";
+
+/**
+ * Inline editor of a previous user prompt
+ * The edited prompt is sent in a new branch of the conversation
+ * @param {Object} props - Component properties
+ * @param {Object} props.message - User message being edited
+ * @param {boolean} [props.disabled] - True while the prompt cannot be sent
+ * @param {Function} props.onSubmit - Receives the edited prompt
+ * @param {Function} props.onCancel - Closes the editor without sending
+ * @returns {JSX.Element} The prompt editor
+ */
+const MessageEditorComponent = ({ message, disabled, onSubmit, onCancel }) => {
+  const [text, setText] = useState(message.text || '');
+
+  return (
+    <SpaceBetween size="xs">
+      <Textarea
+        value={text}
+        rows={3}
+        autoFocus
+        ariaLabel="Edited prompt"
+        onChange={({ detail }) => setText(detail.value)}
+      />
+      <Box variant="small" color="text-body-secondary">
+        The conversation continues from here in a new branch; the original is kept in your history.
+        {message.attachments?.length > 0 && ' Attached files are not sent again.'}
+      </Box>
+      <SpaceBetween direction="horizontal" size="xs">
+        <Button variant="link" onClick={onCancel}>Cancel</Button>
+        <Button variant="primary" disabled={disabled || !text.trim()} onClick={() => onSubmit(text)}>
+          Send
+        </Button>
+      </SpaceBetween>
+    </SpaceBetween>
+  );
+};
+
+MessageEditorComponent.propTypes = {
+  message: PropTypes.shape({
+    text: PropTypes.string,
+    attachments: PropTypes.array
+  }).isRequired,
+  disabled: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default MessageEditorComponent;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Button,
+  FormField,
+  SpaceBetween,
+  StatusIndicator,
+  Textarea
+} from "@cloudscape-design/components";
+import './ReturnControlComponent.css';
+
+/**
+ * @param {Object} invocation - Requested invocation
+ * @returns {string} Human readable name of the requested function or API
+ */
+const invocationTitle = (invocation) => {
+  const operation = invocation.kind === 'api'
+    ? `${(invocation.httpMethod || '').toUpperCase()} ${invocation.apiPath || ''}`.trim()
+    : invocation.function;
+  return `${invocation.actionGroup}: ${operation}`;
+};
+
+/**
+ * Interactive card for a Bedrock Agent return-of-control request
+ * Lets the user approve or deny the requested action group calls and supply their results
+ * @param {Object} props - Component properties
+ * @param {Object} props.returnControl - Return-of-control request stored on the message
+ * @param {boolean} props.disabled - Disables the actions while the agent is responding
+ * @param {Function} props.onSubmit - Callback receiving a { confirmationState, body } result per invocation
+ * @returns {JSX.Element} The return-of-control card
+ */
+const ReturnControlComponent = ({ returnControl, disabled, onSubmit }) => {
+  // Result text typed by the user for each invocation
+  const [resultTexts, setResultTexts] = useState(() => returnControl.invocations.map(() => ''));
+  const isAnswered = returnControl.status === 'answered';
+  const wasDenied = isAnswered && returnControl.results?.some(result => result.confirmationState === 'DENY');
+  const requiresConfirmation = returnControl.invocations.some(invocation => invocation.requiresConfirmation);
+  const missingResult = returnControl.invocations.some((invocation, index) => (
+    invocation.requiresResult && !resultTexts[index].trim()
+  ));
+
+  /**
+   * Builds the answer for every invocation and hands it to the parent
+   * @param {boolean} approved - Whether the user approved the requested actions
+   */
+  const submit = (approved) => {
+    onSubmit(returnControl.invocations.map((invocation, index) => ({
+      confirmationState: invocation.requiresConfirmation ? (approved ? 'CONFIRM' : 'DENY') : undefined,
+      body: resultTexts[index].trim() || (approved ? undefined : 'The user denied this action.')
+    })));
+  };
+
+  return (
+    <div className="return-control-card">
+      <SpaceBetween size="s">
+        <Box variant="h4">
+          {requiresConfirmation ? 'The agent is asking for your confirmation' : 'The agent is asking you for a result'}
+        </Box>
+        {returnControl.invocations.map((invocation, index) => (
+          <div key={index}>
+            <Box variant="code">{invocationTitle(invocation)}</Box>
+            {invocation.parameters.length > 0 && (
+              <ul className="return-control-parameters">
+                {invocation.parameters.map((parameter, i) => (
+                  <li key={i}><code>{parameter.name}</code>: {String(parameter.value)}</li>
+                ))}
+              </ul>
+            )}
+            {invocation.requiresResult && (
+              <FormField label="Result" description="Returned to the agent as the output of this call">
+                <Textarea
+                  value={isAnswered ? (returnControl.results?.[index]?.body || '') : resultTexts[index]}
+                  disabled={isAnswered || disabled}
+                  rows={2}
+                  onChange={({ detail }) => setResultTexts(prevTexts => prevTexts.map((text, i) => (i === index ? detail.value : text)))}
+                />
+              </FormField>
+            )}
+          </div>
+        ))}
+        {isAnswered ? (
+          <StatusIndicator type={wasDenied ? 'stopped' : 'success'}>
+            {wasDenied ? 'Denied' : 'Sent to the agent'}
+          </StatusIndicator>
+        ) : (
+          <SpaceBetween direction="horizontal" size="xs">
+            {requiresConfirmation && (
+              <Button formAction="none" disabled={disabled} onClick={() => submit(false)}>Deny</Button>
+            )}
+            <Button variant="primary" formAction="none" disabled={disabled || missingResult} onClick={() => submit(true)}>
+              {requiresConfirmation ? 'Approve' : 'Send result'}
+            </Button>
+          </SpaceBetween>
+        )}
+      </SpaceBetween>
+    </div>
+  );
+};
+
+ReturnControlComponent.propTypes = {
+  returnControl: PropTypes.shape({
+    invocationId: PropTypes.string,
+    status: PropTypes.string,
+    invocations: PropTypes.arrayOf(PropTypes.shape({
+      kind: PropTypes.string,
+      actionGroup: PropTypes.string,
+      apiPath: PropTypes.string,
+      httpMethod: PropTypes.string,
+      function: PropTypes.string,
+      parameters: PropTypes.array,
+      requiresConfirmation: PropTypes.bool,
+      requiresResult: PropTypes.bool
+    })).isRequired,
+    results: PropTypes.array
+  }).isRequired,
+  disabled: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired
+};
+
+export default ReturnControlComponent;
@@ -0,0 +1,341 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Alert,
+  Box,
+  Button,
+  ButtonDropdown,
+  Header,
+  Icon,
+  Input,
+  Modal,
+  SpaceBetween,
+  TextFilter
+} from "@cloudscape-design/components";
+import './SessionsComponent.css';
+
+// Delay after the last keystroke before searching stored messages, in milliseconds
+const SEARCH_DELAY = 300;
+
+/**
+ * Orders sessions with pinned ones first, then by most recent activity
+ * @param {Object} a - Session
+ * @param {Object} b - Session
+ * @returns {number} Sort order
+ */
+const compareSessions = (a, b) => (
+  (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0)
+);
+
+/**
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Timestamp formatted for the user's locale
+ */
+const formatTimestamp = (timestamp) => (
+  timestamp ? new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : ''
+);
+
+/**
+ * Sidebar listing stored conversations
+ * Lets the user open, rename, pin, export and delete conversations, import JSON exports and search the text of their messages
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.sessions - Sessions returned by the history store
+ * @param {string} props.activeSessionId - Session currently shown in the chat
+ * @param {Object} props.profileNames - Agent profile names by profile identifier, empty when there is a single profile
+ * @param {Function} props.onSelect - Callback receiving the session to open
+ * @param {Function} props.onRename - Callback receiving the session and its new title
+ * @param {Function} props.onTogglePin - Callback receiving the session to pin or unpin
+ * @param {Function} props.onDelete - Callback receiving the session to delete
+ * @param {Function} props.onExport - Callback receiving the session and the format: 'markdown', 'json' or 'print'
+ * @param {Function} props.onImport - Async callback receiving a JSON export file and whether it is read-only
+ * @param {Function} props.onSearch - Async callback returning { sessionId, snippet } matches for a query
+ * @param {Function} props.onClose - Callback closing the sidebar
+ * @returns {JSX.Element} The sessions sidebar
+ */
+const SessionsComponent = ({
+  sessions,
+  activeSessionId,
+  profileNames,
+  onSelect,
+  onRename,
+  onTogglePin,
+  onDelete,
+  onExport,
+  onImport,
+  onSearch,
+  onClose
+}) => {
+  // Text typed in the search box
+  const [filteringText, setFilteringText] = useState('');
+  // Snippet of the first matching message, by session, for the current search
+  const [matches, setMatches] = useState({});
+  // True while stored messages are being searched
+  const [isSearching, setIsSearching] = useState(false);
+  // Session being renamed and its draft title
+  const [renaming, setRenaming] = useState(null);
+  // Session waiting for delete confirmation
+  const [sessionToDelete, setSessionToDelete] = useState(null);
+  // Hidden file input used to pick a JSON export
+  const importInputRef = useRef(null);
+  // True if the next imported conversation is read-only
+  const [importReadOnly, setImportReadOnly] = useState(true);
+  // Reason the last import failed
+  const [importError, setImportError] = useState('');
+  const query = filteringText.trim();
+
+  // Effect hook searching stored messages once the user stops typing
+  useEffect(() => {
+    if (!query) {
+      setMatches({});
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const results = await onSearch(query);
+        if (!cancelled) {
+          setMatches(Object.fromEntries(results.map(result => [result.sessionId, result.snippet])));
+        }
+      } catch (error) {
+        console.error('Error searching conversations:', error);
+      } finally {
+        if (!cancelled) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, onSearch]);
+
+  const visibleSessions = sessions
+    .filter(session => !query
+      || session.title.toLowerCase().includes(query.toLowerCase())
+      || matches[session.sessionId])
+    .sort(compareSessions);
+
+  /**
+   * Saves the title typed for the session being renamed
+   */
+  const submitRename = () => {
+    const title = renaming.title.trim();
+    if (title) {
+      onRename(renaming.session, title);
+    }
+    setRenaming(null);
+  };
+
+  /**
+   * Runs the action picked in a session's menu
+   * @param {Object} session - Session the menu belongs to
+   * @param {string} action - Identifier of the menu item
+   */
+  const handleAction = (session, action) => {
+    switch (action) {
+      case "rename":
+        setRenaming({ session, title: session.title });
+        break;
+      case "pin":
+        onTogglePin(session);
+        break;
+      case "delete":
+        setSessionToDelete(session);
+        break;
+      case "export-markdown":
+        onExport(session, 'markdown');
+        break;
+      case "export-json":
+        onExport(session, 'json');
+        break;
+      case "export-print":
+        onExport(session, 'print');
+        break;
+    }
+  };
+
+  /**
+   * Imports the JSON export picked by the user
+   * @param {File} file - Picked file
+   */
+  const importFile = async (file) => {
+    setImportError('');
+    try {
+      await onImport(file, importReadOnly);
+    } catch (error) {
+      console.error('Error importing conversation:', error);
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <div className="sessions-panel">
+      <Header
+        variant="h3"
+        actions={
+          <SpaceBetween direction="horizontal" size="xxs">
+            <ButtonDropdown
+              ariaLabel="Import a conversation"
+              items={[
+                { id: "read-only", text: "As read-only", iconName: "upload" },
+                { id: "resumable", text: "To continue chatting", iconName: "upload" }
+              ]}
+              onItemClick={({ detail }) => {
+                setImportReadOnly(detail.id === "read-only");
+                importInputRef.current?.click();
+              }}
+            >
+              Import
+            </ButtonDropdown>
+            <Button variant="icon" iconName="close" ariaLabel="Close conversations" onClick={onClose} />
+          </SpaceBetween>
+        }
+      >
+        Conversations
+      </Header>
+      <input
+        type="file"
+        ref={importInputRef}
+        accept=".json,application/json"
+        hidden
+        onChange={(e) => {
+          e.target.files[0] && importFile(e.target.files[0]);
+          // Reset so picking the same file again triggers onChange
+          e.target.value = '';
+        }}
+      />
+      {importError && (
+        <Alert type="error" dismissible onDismiss={() => setImportError('')}>
+          {importError}
+        </Alert>
+      )}
+      <TextFilter
+        filteringText={filteringText}
+        filteringPlaceholder="Search conversations"
+        filteringAriaLabel="Search conversations"
+        countText={query ? (isSearching ? 'Searching…' : `${visibleSessions.length} matches`) : ''}
+        onChange={({ detail }) => setFilteringText(detail.filteringText)}
+      />
+      <ul className="sessions-list scrollable">
+        {visibleSessions.map(session => (
+          <li
+            key={session.sessionId}
+            className={`session-item${session.sessionId === activeSessionId ? ' session-item-active' : ''}`}
+          >
+            {renaming?.session.sessionId === session.sessionId ? (
+              <form
+                className="session-rename"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  submitRename();
+                }}
+              >
+                <Input
+                  value={renaming.title}
+                  ariaLabel="Conversation title"
+                  autoFocus
+                  onChange={({ detail }) => setRenaming({ ...renaming, title: detail.value })}
+                  onKeyDown={({ detail }) => detail.key === 'Escape' && setRenaming(null)}
+                />
+                <Button variant="icon" iconName="check" ariaLabel="Save title" />
+                <Button variant="icon" iconName="close" ariaLabel="Cancel renaming" formAction="none" onClick={() => setRenaming(null)} />
+              </form>
+            ) : (
+              <>
+                <button type="button" className="session-select" onClick={() => onSelect(session.sessionId)}>
+                  <span className="session-title">
+                    {session.pinned && <Icon name="star-filled" size="small" ariaLabel="Pinned" />}
+                    {session.readOnly && <Icon name="lock-private" size="small" ariaLabel="Read-only" />} {session.title}
+                  </span>
+                  <Box variant="small" color="text-body-secondary">
+                    {formatTimestamp(session.updatedAt)}
+                    {profileNames[session.profileId] && ` · ${profileNames[session.profileId]}`}
+                  </Box>
+                  {matches[session.sessionId] && (
+                    <Box variant="small" color="text-body-secondary">
+                      <i>{matches[session.sessionId]}</i>
+                    </Box>
+                  )}
+                </button>
+                <ButtonDropdown
+                  variant="icon"
+                  ariaLabel={`Actions for ${session.title}`}
+                  expandToViewport
+                  onItemClick={({ detail }) => handleAction(session, detail.id)}
+                  items={[
+                    { id: "rename", text: "Rename", iconName: "edit" },
+                    { id: "pin", text: session.pinned ? "Unpin" : "Pin", iconName: session.pinned ? "star" : "star-filled" },
+                    {
+                      id: "export",
+                      text: "Export",
+                      items: [
+                        { id: "export-markdown", text: "Markdown", iconName: "download" },
+                        { id: "export-json", text: "JSON", iconName: "download" },
+                        { id: "export-print", text: "Print or save as PDF", iconName: "file" }
+                      ]
+                    },
+                    { id: "delete", text: "Delete", iconName: "remove" }
+                  ]}
+                />
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      {visibleSessions.length === 0 && (
+        <Box textAlign="center" color="text-body-secondary" padding="m">
+          {query ? 'No conversations match your search' : 'No conversations yet'}
+        </Box>
+      )}
+
+      <Modal
+        onDismiss={() => setSessionToDelete(null)}
+        visible={!!sessionToDelete}
+        header="Delete conversation"
+        footer={
+          <Box float="right">
+            <SpaceBetween direction="horizontal" size="xs">
+              <Button variant="link" onClick={() => setSessionToDelete(null)}>Cancel</Button>
+              <Button
+                variant="primary"
+                onClick={() => {
+                  onDelete(sessionToDelete);
+                  setSessionToDelete(null);
+                }}
+              >
+                Delete
+              </Button>
+            </SpaceBetween>
+          </Box>
+        }
+      >
+        <strong>This action cannot be undone.</strong> The conversation &quot;{sessionToDelete?.title}&quot; and all its messages will be deleted.
+      </Modal>
+    </div>
+  );
+};
+
+SessionsComponent.propTypes = {
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    sessionId: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    updatedAt: PropTypes.string,
+    pinned: PropTypes.bool,
+    readOnly: PropTypes.bool,
+    profileId: PropTypes.string
+  })).isRequired,
+  activeSessionId: PropTypes.string,
+  profileNames: PropTypes.objectOf(PropTypes.string).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onTogglePin: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onSearch: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SessionsComponent;
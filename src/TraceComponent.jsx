@@ -0,0 +1,96 @@
+import PropTypes from 'prop-types';
+import {
+  Box,
+  ExpandableSection,
+  StatusIndicator
+} from "@cloudscape-design/components";
+import './TraceComponent.css';
+
+/**
+ * Status indicator type used for each kind of trace step
+ */
+const STEP_STATUS = {
+  'model-invocation': 'info',
+  'rationale': 'in-progress',
+  'action-group': 'pending',
+  'action-result': 'success',
+  'knowledge-base': 'pending',
+  'knowledge-base-result': 'success',
+  'code-interpreter': 'pending',
+  'code-interpreter-result': 'success',
+  'reprompt': 'warning',
+  'final-response': 'success',
+  'failure': 'error'
+};
+
+/**
+ * @param {Object} step - Trace step
+ * @returns {string} StatusIndicator type for the step
+ */
+const stepStatus = (step) => {
+  if (step.type === 'guardrail') {
+    return step.intervened ? 'warning' : 'success';
+  }
+  return STEP_STATUS[step.type] || 'info';
+};
+
+/**
+ * Collapsible timeline of the orchestration steps an agent took to produce a message
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.steps - Trace steps stored on the message
+ * @returns {JSX.Element} The trace inspector panel
+ */
+const TraceComponent = ({ steps }) => {
+  return (
+    <ExpandableSection variant="footer" headerText={`Trace (${steps.length} steps)`}>
+      <ol className="trace-timeline">
+        {steps.map((step, index) => (
+          <li key={index} className="trace-step">
+            <StatusIndicator type={stepStatus(step)}>
+              {step.title}
+            </StatusIndicator>
+            {step.detail && (
+              <Box variant="pre" fontSize="body-s" color="text-body-secondary">{step.detail}</Box>
+            )}
+            {step.parameters?.length > 0 && (
+              <ul className="trace-parameters">
+                {step.parameters.map((parameter, i) => (
+                  <li key={i}><code>{parameter.name}</code>: {parameter.value}</li>
+                ))}
+              </ul>
+            )}
+            {step.references?.length > 0 && (
+              <ul className="trace-references">
+                {step.references.map((reference, i) => (
+                  <li key={i}>
+                    <Box variant="code" fontSize="body-s">{reference.location}</Box>
+                    <Box fontSize="body-s" color="text-body-secondary">{reference.text}</Box>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+    </ExpandableSection>
+  );
+};
+
+TraceComponent.propTypes = {
+  steps: PropTypes.arrayOf(PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    detail: PropTypes.string,
+    intervened: PropTypes.bool,
+    parameters: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      value: PropTypes.string
+    })),
+    references: PropTypes.arrayOf(PropTypes.shape({
+      location: PropTypes.string,
+      text: PropTypes.string
+    }))
+  })).isRequired
+};
+
+export default TraceComponent;
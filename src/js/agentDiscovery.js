@@ -0,0 +1,89 @@
+import { BedrockAgentClient, paginateListAgents, paginateListAgentAliases } from "@aws-sdk/client-bedrock-agent";
+import { BedrockAgentCoreControlClient, paginateListAgentRuntimes } from "@aws-sdk/client-bedrock-agentcore-control";
+
+/**
+ * Discovery of the agents the signed in user can talk to
+ * Uses the control-plane APIs with the identity pool credentials, so it only works if the
+ * authenticated role allows bedrock:ListAgents, bedrock:ListAgentAliases and
+ * bedrock-agentcore:ListAgentRuntimes. Callers fall back to manual entry otherwise.
+ */
+
+/**
+ * @param {Error} error - Error thrown by an SDK client
+ * @returns {boolean} True if the role is not allowed to call the API
+ */
+export const isAccessDenied = (error) => (
+  error?.name === 'AccessDeniedException'
+  || error?.name === 'UnauthorizedException'
+  || error?.$metadata?.httpStatusCode === 403
+);
+
+/**
+ * Reads every page of a paginated list operation
+ * @param {AsyncIterable<Object>} paginator - SDK paginator
+ * @param {string} field - Name of the list field in each page
+ * @returns {Promise<Array<Object>>} All items
+ */
+const collect = async (paginator, field) => {
+  const items = [];
+  for await (const page of paginator) {
+    items.push(...(page[field] || []));
+  }
+  return items;
+};
+
+/**
+ * Lists the Bedrock agents of a region
+ * @param {string} region - AWS region
+ * @param {Object} credentials - AWS credentials from the Amplify auth session
+ * @returns {Promise<Array<Object>>} { agentId, agentName, status, description } sorted by name
+ */
+export const listBedrockAgents = async (region, credentials) => {
+  const client = new BedrockAgentClient({ region, credentials });
+  const agents = await collect(paginateListAgents({ client }, {}), 'agentSummaries');
+  return agents
+    .map(agent => ({
+      agentId: agent.agentId,
+      agentName: agent.agentName,
+      status: agent.agentStatus,
+      description: agent.description
+    }))
+    .sort((a, b) => a.agentName.localeCompare(b.agentName));
+};
+
+/**
+ * Lists the aliases of a Bedrock agent
+ * @param {string} region - AWS region
+ * @param {Object} credentials - AWS credentials from the Amplify auth session
+ * @param {string} agentId - Agent identifier
+ * @returns {Promise<Array<Object>>} { agentAliasId, agentAliasName, status, description }
+ */
+export const listBedrockAgentAliases = async (region, credentials, agentId) => {
+  const client = new BedrockAgentClient({ region, credentials });
+  const aliases = await collect(paginateListAgentAliases({ client }, { agentId }), 'agentAliasSummaries');
+  return aliases.map(alias => ({
+    agentAliasId: alias.agentAliasId,
+    agentAliasName: alias.agentAliasName,
+    status: alias.agentAliasStatus,
+    description: alias.description
+  }));
+};
+
+/**
+ * Lists the AgentCore runtimes of a region
+ * @param {string} region - AWS region
+ * @param {Object} credentials - AWS credentials from the Amplify auth session
+ * @returns {Promise<Array<Object>>} { agentRuntimeArn, agentRuntimeName, status, description } sorted by name
+ */
+export const listAgentCoreRuntimes = async (region, credentials) => {
+  const client = new BedrockAgentCoreControlClient({ region, credentials });
+  const runtimes = await collect(paginateListAgentRuntimes({ client }, {}), 'agentRuntimes');
+  return runtimes
+    .map(runtime => ({
+      agentRuntimeArn: runtime.agentRuntimeArn,
+      agentRuntimeName: runtime.agentRuntimeName,
+      status: runtime.status,
+      description: runtime.description
+    }))
+    .sort((a, b) => a.agentRuntimeName.localeCompare(b.agentRuntimeName));
+};
@@ -0,0 +1,183 @@
+/**
+ * Classification of the errors raised while invoking an agent
+ * Turns SDK, network and provider errors into a kind with a user-friendly explanation, and retries
+ * the transient ones with exponential backoff.
+ */
+
+// Retries after the first attempt for transient errors
+const MAX_RETRIES = 3;
+// Delay before the first retry, doubled for each further retry, in milliseconds
+const BASE_DELAY = 1000;
+
+/**
+ * Raised when a Bedrock Agent reports a failure trace
+ */
+export class AgentFailureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentFailureError';
+  }
+}
+
+/**
+ * Raised when an agent's response cannot be parsed, e.g. a Lambda payload that is not the expected JSON
+ */
+export class MalformedResponseError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'MalformedResponseError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Kinds of errors, with the explanation shown to the user and whether retrying may help
+ */
+const ERROR_KINDS = {
+  throttling: {
+    title: 'Too many requests',
+    explanation: 'The agent is receiving more requests than it can handle right now. Wait a moment and try again.',
+    retryable: true
+  },
+  accessDenied: {
+    title: 'Access denied',
+    explanation: 'Your account is not allowed to use this agent. Ask your administrator to allow your role to invoke it.',
+    retryable: false
+  },
+  expiredCredentials: {
+    title: 'Session expired',
+    explanation: 'Your AWS credentials expired and could not be renewed. Sign out and sign in again.',
+    retryable: true
+  },
+  validation: {
+    title: 'Request rejected',
+    explanation: 'The agent service rejected the request. Check the agent settings, or shorten your message and attachments.',
+    retryable: false
+  },
+  timeout: {
+    title: 'Request timed out',
+    explanation: 'The agent took too long to answer. Try again, or ask a simpler question.',
+    retryable: true
+  },
+  unavailable: {
+    title: 'Service unavailable',
+    explanation: 'The agent service is temporarily unavailable. Try again in a few moments.',
+    retryable: true
+  },
+  network: {
+    title: 'Connection problem',
+    explanation: 'The agent could not be reached. Check your network connection and try again.',
+    retryable: true
+  },
+  agentFailure: {
+    title: 'Agent failure',
+    explanation: 'The agent could not complete your request.',
+    retryable: false
+  },
+  malformedResponse: {
+    title: 'Unreadable response',
+    explanation: 'The agent returned a response this application could not read. Ask the agent owner to check its response format.',
+    retryable: false
+  },
+  unknown: {
+    title: 'Unexpected error',
+    explanation: 'An error occurred while processing your request.',
+    retryable: false
+  }
+};
+
+/**
+ * @param {Error} error - Error thrown while invoking an agent
+ * @returns {string} Kind of the error, a key of ERROR_KINDS
+ */
+const errorKind = (error) => {
+  const name = error?.name || '';
+  const message = error?.message || '';
+  const status = error?.$metadata?.httpStatusCode;
+
+  if (error instanceof AgentFailureError) {
+    return 'agentFailure';
+  }
+  if (error instanceof MalformedResponseError) {
+    return 'malformedResponse';
+  }
+  if (/Expired/i.test(name) || /token.*expired|expired.*token/i.test(message)) {
+    return 'expiredCredentials';
+  }
+  if (/Throttl|TooManyRequests/i.test(name) || status === 429 || /rate exceeded/i.test(message)) {
+    return 'throttling';
+  }
+  if (/AccessDenied|Unauthorized/i.test(name) || status === 403) {
+    return 'accessDenied';
+  }
+  if (/Timeout/i.test(name) || status === 408 || status === 504 || /timed out/i.test(message)) {
+    return 'timeout';
+  }
+  if (/Validation|BadRequest/i.test(name)) {
+    return 'validation';
+  }
+  if (/InternalServer|ServiceUnavailable|DependencyFailed|BadGateway/i.test(name) || status >= 500) {
+    return 'unavailable';
+  }
+  if (error instanceof TypeError && /fetch|network/i.test(message)) {
+    return 'network';
+  }
+  return 'unknown';
+};
+
+/**
+ * Classifies an error raised while invoking an agent
+ * @param {Error} error - Error thrown by a provider or the SDK
+ * @returns {Object} { kind, title, explanation, retryable, detail }
+ */
+export const classifyError = (error) => {
+  const kind = errorKind(error);
+  return { kind, ...ERROR_KINDS[kind], detail: error?.message || String(error) };
+};
+
+/**
+ * Waits before a retry
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that ends the wait early
+ * @returns {Promise<void>} Resolves after the delay or once aborted
+ */
+const wait = (delay, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, delay);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+/**
+ * Runs an operation, retrying transient errors with exponential backoff and jitter
+ * @param {Function} operation - Async function receiving the attempt number, starting at 0
+ * @param {Object} [options] - Retry options
+ * @param {AbortSignal} [options.signal] - Signal that stops retrying
+ * @param {Function} [options.canRetry] - Returns false when the failed attempt must not be repeated, e.g. once output was shown
+ * @param {Function} [options.onRetry] - Async callback receiving the classified error and the next attempt number, before waiting
+ * @returns {Promise<*>} Result of the operation
+ * @throws {Error} The last error when it is not retryable or retries are exhausted
+ */
+export const withRetry = async (operation, { signal, canRetry = () => true, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const classified = classifyError(error);
+      if (!classified.retryable || attempt >= MAX_RETRIES || signal?.aborted || !canRetry(error)) {
+        throw error;
+      }
+      try {
+        await onRetry?.(classified, attempt + 1);
+      } catch (retryError) {
+        console.error('Error preparing retry:', retryError);
+        throw error;
+      }
+      await wait(BASE_DELAY * 2 ** attempt * (0.5 + Math.random() / 2), signal);
+      if (signal?.aborted) {
+        throw error;
+      }
+    }
+  }
+};
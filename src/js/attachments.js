@@ -0,0 +1,135 @@
+/**
+ * Helpers for files attached to chat messages
+ * Attachments are validated in the browser and encoded as base64 before being sent to the agent
+ */
+
+// Maximum number of files sent with a single message (InvokeAgent accepts up to 5)
+export const MAX_ATTACHMENTS = 5;
+// Maximum combined base64 size of the files sent with a single message (InvokeAgent accepts up to 10 MB),
+// used for providers without a maxAttachmentsSize capability
+export const MAX_TOTAL_SIZE = 10 * 1024 * 1024;
+// Returned files larger than this are shown for the current session but not kept in localStorage
+const MAX_STORED_FILE_SIZE = 512 * 1024;
+
+// File extensions accepted as attachments
+export const ACCEPTED_EXTENSIONS = [
+  '.csv', '.xls', '.xlsx', '.json', '.yaml', '.yml',
+  '.txt', '.md', '.html', '.pdf', '.doc', '.docx',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp'
+];
+
+// Data files handled by the code interpreter rather than read as chat context
+const CODE_INTERPRETER_EXTENSIONS = ['.csv', '.xls', '.xlsx', '.json', '.yaml', '.yml'];
+
+/**
+ * @param {string} name - File name
+ * @returns {string} Lower-case extension including the dot, or empty string
+ */
+const extensionOf = (name) => {
+  const index = name.lastIndexOf('.');
+  return index === -1 ? '' : name.substring(index).toLowerCase();
+};
+
+/**
+ * Formats a byte count for display
+ * @param {number} size - Size in bytes
+ * @returns {string} Size such as "1.2 MB"
+ */
+export const formatFileSize = (size) => {
+  if (size >= 1024 * 1024) {
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (size >= 1024) {
+    return `${(size / 1024).toFixed(1)} KB`;
+  }
+  return `${size} B`;
+};
+
+/**
+ * @param {number} size - Size of a file in bytes
+ * @returns {number} Size of its base64 encoding, as sent to the agent
+ */
+export const encodedSize = (size) => Math.ceil(size / 3) * 4;
+
+/**
+ * Checks new files against the type, count and size limits
+ * The size limit applies to the base64 encoded files, as they are sent in the request
+ * @param {Array<File>} current - Files already attached to the message
+ * @param {Array<File>} added - Files the user is adding
+ * @param {number} [maxTotalSize] - Maximum combined encoded size, see the maxAttachmentsSize provider capability
+ * @returns {Object} { files, error } with the accepted files (current ones first) and a validation message
+ */
+export const validateAttachments = (current, added, maxTotalSize = MAX_TOTAL_SIZE) => {
+  const files = [...current];
+  const problems = [];
+  added.forEach(file => {
+    if (!ACCEPTED_EXTENSIONS.includes(extensionOf(file.name))) {
+      problems.push(`${file.name} is not a supported file type`);
+    } else if (files.length >= MAX_ATTACHMENTS) {
+      problems.push(`Only ${MAX_ATTACHMENTS} files can be attached to a message`);
+    } else if (files.reduce((total, f) => total + encodedSize(f.size), encodedSize(file.size)) > maxTotalSize) {
+      problems.push(`${file.name} exceeds the ${formatFileSize(maxTotalSize)} limit for attachments once encoded for this agent`);
+    } else {
+      files.push(file);
+    }
+  });
+  return { files, error: [...new Set(problems)].join('. ') };
+};
+
+/**
+ * Reads a file and encodes its content as base64
+ * @param {File} file - File selected by the user
+ * @returns {Promise<Object>} { name, mediaType, size, useCase, data }
+ */
+export const readAttachment = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    // Strip the "data:<type>;base64," prefix of the data URL
+    const data = String(reader.result).split(',')[1] || '';
+    resolve({
+      name: file.name,
+      mediaType: file.type || 'application/octet-stream',
+      size: file.size,
+      useCase: CODE_INTERPRETER_EXTENSIONS.includes(extensionOf(file.name)) ? 'CODE_INTERPRETER' : 'CHAT',
+      data
+    });
+  };
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Decodes base64 data into bytes
+ * @param {string} data - Base64 encoded content
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const base64ToBytes = (data) => Uint8Array.from(atob(data), character => character.charCodeAt(0));
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - Raw content
+ * @returns {string} Base64 encoded content
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Encode in slices to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * @param {Object} file - Attachment or returned file with mediaType and data
+ * @returns {string} Data URL usable as an image source or download link
+ */
+export const toDataUrl = (file) => `data:${file.mediaType};base64,${file.data}`;
+
+/**
+ * Drops the content of files too large to keep in localStorage
+ * @param {Array<Object>} files - Files returned by the agent
+ * @returns {Array<Object>} Files safe to persist with the message
+ */
+export const toStoredFiles = (files) => files.map(file => (
+  file.size > MAX_STORED_FILE_SIZE ? { name: file.name, mediaType: file.mediaType, size: file.size } : file
+));
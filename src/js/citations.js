@@ -0,0 +1,129 @@
+/**
+ * Helpers for knowledge base citations attached to agent messages
+ *
+ * A message stores its citations as:
+ * - sources: [{ uri, title, snippet }] retrieved documents, listed once each
+ * - citations: [{ start, end, sourceIndexes }] spans of the message text and the sources backing them
+ */
+
+// Maximum length of the snippet stored for each source
+const MAX_SNIPPET_LENGTH = 300;
+
+/**
+ * Converts a Bedrock retrieved reference into a source entry
+ * @param {Object} reference - Retrieved reference from a citation
+ * @returns {Object} Source with uri, title and snippet
+ */
+const toSource = (reference) => {
+  const location = reference.location || {};
+  const uri = location.s3Location?.uri
+    || location.webLocation?.url
+    || location.confluenceLocation?.url
+    || location.salesforceLocation?.url
+    || location.sharePointLocation?.url
+    || location.customDocumentLocation?.id
+    || '';
+  const metadataTitle = reference.metadata?.title || reference.metadata?.['x-amz-bedrock-kb-title'];
+  const snippet = reference.content?.text || '';
+  return {
+    uri,
+    title: typeof metadataTitle === 'string' && metadataTitle ? metadataTitle : (uri.split('/').pop() || uri),
+    snippet: snippet.length > MAX_SNIPPET_LENGTH ? `${snippet.substring(0, MAX_SNIPPET_LENGTH)}…` : snippet
+  };
+};
+
+/**
+ * Normalizes the citations of a Bedrock Agent chunk attribution
+ * Spans are relative to the text of the chunk that carried them
+ * @param {Array<Object>} citations - chunk.attribution.citations from InvokeAgent
+ * @returns {Array<Object>} Citations as { start, end, references: [source] }
+ */
+export const fromBedrockCitations = (citations = []) => citations.map(citation => {
+  const part = citation.generatedResponsePart?.textResponsePart;
+  return {
+    start: part?.span?.start ?? 0,
+    end: part?.span?.end ?? (part?.text?.length || 0),
+    references: (citation.retrievedReferences || []).map(toSource)
+  };
+});
+
+/**
+ * Normalizes the sources listed in an agent's own response format, e.g. a Strands Lambda payload
+ * Items may be Bedrock retrieved references, { uri | url | source, title, snippet | text | content } objects
+ * or plain URIs; they back the whole text they came with
+ * @param {Array<*>} items - Sources found in the response
+ * @param {number} length - Length of the text the sources belong to
+ * @returns {Array<Object>} One citation as { start, end, references: [source] }, or none
+ */
+export const fromResponseSources = (items = [], length = 0) => {
+  const references = items.map(item => {
+    if (typeof item === 'string') {
+      return toSource({ location: { customDocumentLocation: { id: item } } });
+    }
+    if (item?.location) {
+      return toSource(item);
+    }
+    const uri = item?.uri || item?.url || item?.source || '';
+    const snippet = item?.snippet || item?.text || item?.content || '';
+    return toSource({
+      location: { customDocumentLocation: { id: uri } },
+      metadata: { title: item?.title },
+      content: { text: typeof snippet === 'string' ? snippet : '' }
+    });
+  }).filter(reference => reference.uri || reference.snippet);
+  if (references.length === 0) {
+    return [];
+  }
+  // Spans are inclusive of their end character, like Bedrock's
+  return [{ start: 0, end: Math.max(length - 1, 0), references }];
+};
+
+/**
+ * Merges chunk citations into the citations and sources of a message
+ * @param {Object} current - Current { citations, sources } of the message
+ * @param {Array<Object>} chunkCitations - Normalized citations of one chunk
+ * @param {number} offset - Position of the chunk within the message text
+ * @returns {Object} New { citations, sources }
+ */
+export const addCitations = ({ citations = [], sources = [] }, chunkCitations, offset) => {
+  const nextSources = [...sources];
+  const nextCitations = [...citations];
+  chunkCitations.forEach(citation => {
+    const sourceIndexes = citation.references.map(reference => {
+      const existing = nextSources.findIndex(source => source.uri === reference.uri && source.snippet === reference.snippet);
+      if (existing !== -1) {
+        return existing;
+      }
+      nextSources.push(reference);
+      return nextSources.length - 1;
+    });
+    if (sourceIndexes.length > 0) {
+      nextCitations.push({
+        start: offset + citation.start,
+        // Bedrock spans are inclusive of their end character
+        end: offset + citation.end + 1,
+        sourceIndexes
+      });
+    }
+  });
+  return { citations: nextCitations, sources: nextSources };
+};
+
+/**
+ * Inserts markdown citation markers linking to the sources footer after each cited span
+ * @param {string} text - Message text
+ * @param {Array<Object>} citations - Citations of the message
+ * @param {string} anchorPrefix - Prefix of the source anchors rendered in the footer
+ * @returns {string} Text with markers such as [[1]](#prefix-1)
+ */
+export const insertCitationMarkers = (text, citations = [], anchorPrefix) => {
+  // Insert from the end of the text so earlier positions stay valid
+  const ordered = [...citations].sort((a, b) => b.end - a.end);
+  return ordered.reduce((result, citation) => {
+    const position = Math.min(citation.end, result.length);
+    const markers = citation.sourceIndexes
+      .map(index => `[[${index + 1}]](#${anchorPrefix}-${index + 1})`)
+      .join('');
+    return result.slice(0, position) + markers + result.slice(position);
+  }, text);
+};
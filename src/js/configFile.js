@@ -0,0 +1,64 @@
+import { applyLockedFields } from './defaultConfig';
+import { normalizeConfig, validateConfig } from './configSchema';
+
+/**
+ * Configuration export and import
+ * The whole application configuration is saved to a JSON file that can be imported in another
+ * browser, or served as config.json by an administrator.
+ */
+
+// Identifies files produced by toConfigExport
+const EXPORT_FORMAT = 'secure-chat-config';
+const EXPORT_VERSION = 1;
+
+/**
+ * @returns {string} Name of the downloaded configuration file
+ */
+export const configFileName = () => `secure-chat-config-${new Date().toISOString().slice(0, 10)}.json`;
+
+/**
+ * Builds the JSON export of a configuration
+ * @param {Object} appConfig - Application configuration
+ * @returns {string} JSON document
+ */
+export const toConfigExport = (appConfig) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  config: appConfig
+}, null, 2);
+
+/**
+ * Reads a configuration file
+ * Accepts files produced by toConfigExport and bare configurations such as config.json; fields
+ * locked by the administrator keep their deployed value
+ * @param {string} text - Content of the file
+ * @param {Object} defaults - Result of getDefaultConfig
+ * @returns {Object} Application configuration to save
+ * @throws {Error} If the file is not a configuration
+ */
+export const parseConfigFile = (text, defaults) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format === EXPORT_FORMAT && data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the application');
+  }
+  // Administrator settings are not part of a user's configuration
+  const imported = { ...(data?.format === EXPORT_FORMAT ? data.config : data) };
+  delete imported.lockedFields;
+  let config;
+  try {
+    config = applyLockedFields(normalizeConfig(imported), defaults);
+  } catch (error) {
+    throw new Error(`The file does not contain a valid configuration. ${error.message}`);
+  }
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+  return config;
+};
@@ -0,0 +1,387 @@
+/**
+ * Application configuration schema
+ *
+ * The configuration saved to localStorage carries a `version`. Configurations saved by earlier
+ * versions of the application are upgraded by the migrations below when they are read, so the rest
+ * of the application only deals with the current shape:
+ * - `cognito`: { userPoolId, userPoolClientId, identityPoolId, region }
+ * - `profiles`: agent profiles, each { id, bedrock, strands, agentcore } (see profiles.js)
+ * - `activeProfileId`: profile used for new conversations
+ * - `history`: { backend, graphqlEndpoint, purgeOnSignOut, retentionDays }
+ * - `display`: { allowHtml }
+ * - `speech`: { voice, rate } used to read agent responses aloud, { language, continuousDictation } used to dictate prompts
+ */
+
+import { isValidPath } from './providers/responseMapping';
+
+export const CONFIG_VERSION = 5;
+
+// AWS region names such as us-east-1 or ap-southeast-2
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d+$/;
+// e.g. us-east-1_uXboG5pAb
+const USER_POOL_ID_PATTERN = /^([a-z]{2}(-[a-z]+)+-\d+)_[0-9a-zA-Z]+$/;
+// e.g. 25ddkmj4v6hfsfvruhpfi7n4hv
+const USER_POOL_CLIENT_ID_PATTERN = /^[\w+]{1,128}$/;
+// e.g. us-east-1:a0421ced-2ae0-45ab-a503-21f6f23c5562
+const IDENTITY_POOL_ID_PATTERN = /^([a-z]{2}(-[a-z]+)+-\d+):[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Agent and alias identifiers, e.g. UF1W5WKVYI, or TSTALIASID for the alias of the working draft
+const AGENT_ID_PATTERN = /^[0-9a-zA-Z]{10}$/;
+// e.g. arn:aws:lambda:us-east-1:123456789012:function:my-strands-agent, optionally with a version or alias
+const LAMBDA_ARN_PATTERN = /^arn:aws[a-z-]*:lambda:([a-z]{2}(-[a-z]+)+-\d+):\d{12}:function:[\w-]+(:(\$LATEST|[\w-]+))?$/;
+// BCP 47 language tags such as en-US or zh-Hant-TW
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+// e.g. arn:aws:bedrock-agentcore:us-east-1:123456789012:runtime/agent-xyz
+const AGENTCORE_ARN_PATTERN = /^arn:aws[a-z-]*:bedrock-agentcore:([a-z]{2}(-[a-z]+)+-\d+):\d{12}:runtime\/[\w-]+$/;
+
+/**
+ * @param {string} region - Region typed by the user
+ * @returns {boolean} True if the region looks like an AWS region name
+ */
+export const isRegionName = (region) => REGION_PATTERN.test(region || '');
+
+/**
+ * Extracts the region of a Lambda function or AgentCore runtime ARN
+ * @param {string} arn - ARN typed by the user
+ * @returns {string} The region, or an empty string if the ARN is not valid
+ */
+export const regionFromArn = (arn) => {
+  const match = (arn || '').trim().match(LAMBDA_ARN_PATTERN) || (arn || '').trim().match(AGENTCORE_ARN_PATTERN);
+  return match ? match[1] : '';
+};
+
+/**
+ * @param {*} value - Value to test
+ * @returns {boolean} True for plain objects
+ */
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Migrations from each schema version to the next one
+ * Configurations saved before versioning are version 1
+ */
+const MIGRATIONS = {
+  /**
+   * Version 1 held a single agent in top-level bedrock, strands and agentcore sections, and
+   * older configurations lack the strands and history sections
+   */
+  1: (config) => {
+    const migrated = { ...config };
+    if (!Array.isArray(migrated.profiles) || migrated.profiles.length === 0) {
+      migrated.profiles = [{
+        id: 'default',
+        bedrock: config.bedrock || { agentName: '', agentId: '', agentAliasId: '', region: '' },
+        strands: config.strands || { enabled: false, lambdaArn: '', agentName: 'Strands Agent', region: '' },
+        agentcore: config.agentcore || { enabled: false, agentArn: '', agentName: 'AgentCore Agent', region: '' }
+      }];
+      migrated.activeProfileId = 'default';
+    }
+    delete migrated.bedrock;
+    delete migrated.strands;
+    delete migrated.agentcore;
+    // Configurations saved before server-side history keep their history in the browser
+    migrated.history = {
+      backend: 'local',
+      graphqlEndpoint: '',
+      purgeOnSignOut: true,
+      retentionDays: 0,
+      ...config.history
+    };
+    return migrated;
+  },
+
+  /**
+   * Version 2 rendered the HTML of agent responses without an option to turn it off
+   */
+  2: (config) => ({
+    ...config,
+    display: { allowHtml: true, ...config.display }
+  }),
+
+  /**
+   * Version 3 had no text-to-speech settings
+   */
+  3: (config) => ({
+    ...config,
+    speech: { voice: '', rate: 1, ...config.speech }
+  }),
+
+  /**
+   * Version 4 dictated in US English, one phrase at a time
+   */
+  4: (config) => ({
+    ...config,
+    speech: { language: 'en-US', continuousDictation: false, ...config.speech }
+  })
+};
+
+/**
+ * Upgrades a configuration to the current schema version
+ * @param {Object} config - Configuration of any version
+ * @returns {Object} Configuration in the current schema
+ * @throws {Error} If the configuration was saved by a newer version of the application
+ */
+export const migrateConfig = (config) => {
+  let migrated = config;
+  let version = Number.isInteger(config.version) ? config.version : 1;
+  if (version > CONFIG_VERSION) {
+    throw new Error(`The configuration was saved by a newer version of the application (schema ${version})`);
+  }
+  while (version < CONFIG_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version += 1;
+  }
+  return { ...migrated, version: CONFIG_VERSION };
+};
+
+/**
+ * Checks that a configuration has the shape of the current schema
+ * Field formats are checked by getConfigErrors when the configuration is edited
+ * @param {Object} config - Migrated configuration
+ * @throws {Error} Describing the first missing or malformed section
+ */
+const assertConfigShape = (config) => {
+  if (!isObject(config.cognito)) {
+    throw new Error('The Amazon Cognito setup is missing');
+  }
+  ['userPoolId', 'userPoolClientId', 'identityPoolId', 'region'].forEach(field => {
+    if (typeof config.cognito[field] !== 'string') {
+      throw new Error(`cognito.${field} is missing`);
+    }
+  });
+  if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+    throw new Error('No agent profile is defined');
+  }
+  config.profiles.forEach((profile, index) => {
+    if (!isObject(profile) || typeof profile.id !== 'string') {
+      throw new Error(`Agent profile ${index + 1} is malformed`);
+    }
+    ['bedrock', 'strands', 'agentcore'].forEach(section => {
+      if (profile[section] !== undefined && !isObject(profile[section])) {
+        throw new Error(`The ${section} section of agent profile ${index + 1} is malformed`);
+      }
+    });
+  });
+  if (!isObject(config.history)) {
+    throw new Error('The history section is malformed');
+  }
+  if (!isObject(config.display)) {
+    throw new Error('The display section is malformed');
+  }
+  if (!isObject(config.speech)) {
+    throw new Error('The speech section is malformed');
+  }
+};
+
+/**
+ * Migrates and checks a configuration
+ * @param {Object} config - Configuration of any version
+ * @returns {Object} Configuration in the current schema
+ * @throws {Error} If the configuration is not usable
+ */
+export const normalizeConfig = (config) => {
+  if (!isObject(config)) {
+    throw new Error('The configuration is not an object');
+  }
+  const migrated = migrateConfig(config);
+  assertConfigShape(migrated);
+  return migrated;
+};
+
+/**
+ * Reads, migrates and checks a configuration
+ * @param {string} text - JSON document
+ * @returns {Object} Configuration in the current schema
+ * @throws {Error} If the document is not a usable configuration
+ */
+export const parseConfig = (text) => {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch {
+    throw new Error('The configuration is not valid JSON');
+  }
+  return normalizeConfig(config);
+};
+
+/**
+ * Reads the configuration saved in this browser
+ * A configuration that cannot be read is reported instead of thrown, so callers can recover
+ * @returns {Object} { config, error }: config is null when nothing usable is saved, error explains why a saved configuration was rejected
+ */
+export const readStoredConfig = () => {
+  const storedConfig = localStorage.getItem('appConfig');
+  if (!storedConfig) {
+    return { config: null };
+  }
+  try {
+    return { config: parseConfig(storedConfig) };
+  } catch (error) {
+    return { config: null, error: error.message };
+  }
+};
+
+/**
+ * @param {string} value - Field value
+ * @returns {string} The value without surrounding spaces
+ */
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validates a required region field
+ * @param {Object} errors - Errors by field, updated in place
+ * @param {string} field - Error key
+ * @param {string} value - Region
+ * @param {string} label - Name of the field in messages
+ */
+const checkRegion = (errors, field, value, label) => {
+  if (!trimmed(value)) {
+    errors[field] = `${label} is required`;
+  } else if (!isRegionName(trimmed(value))) {
+    errors[field] = `${label} must be an AWS region name, e.g. us-east-1`;
+  }
+};
+
+/**
+ * Adds an error if the size of a context window is out of range
+ * @param {Object} errors - Errors by field, updated in place
+ * @param {string} field - Error key
+ * @param {Object} [contextWindow] - Context window settings of an agent, see conversationHistory.js
+ */
+const checkContextWindow = (errors, field, contextWindow) => {
+  const { mode, turns, tokens } = contextWindow || {};
+  if (mode === 'turns' && !(Number.isInteger(Number(turns)) && Number(turns) >= 1 && Number(turns) <= 100)) {
+    errors[field] = 'Number of turns must be a whole number between 1 and 100';
+  } else if (mode === 'tokens' && !(Number.isInteger(Number(tokens)) && Number(tokens) >= 100 && Number(tokens) <= 200000)) {
+    errors[field] = 'Token budget must be a whole number between 100 and 200000';
+  }
+};
+
+/**
+ * Validates the configuration form state: the top-level bedrock, strands and agentcore sections
+ * hold the agent profile being edited
+ * @param {Object} config - Form state
+ * @returns {Object} Error messages by field, empty when the configuration is valid
+ */
+export const getConfigErrors = (config) => {
+  const newErrors = {};
+  const { cognito, bedrock, strands, agentcore, history, speech } = config;
+
+  // Validate Cognito fields
+  const userPoolId = trimmed(cognito.userPoolId);
+  const identityPoolId = trimmed(cognito.identityPoolId);
+  if (!userPoolId) {
+    newErrors.userPoolId = 'User Pool ID is required';
+  } else if (!USER_POOL_ID_PATTERN.test(userPoolId)) {
+    newErrors.userPoolId = 'User Pool ID must look like us-east-1_uXboG5pAb';
+  }
+  if (!trimmed(cognito.userPoolClientId)) {
+    newErrors.userPoolClientId = 'User Pool Client ID is required';
+  } else if (!USER_POOL_CLIENT_ID_PATTERN.test(trimmed(cognito.userPoolClientId))) {
+    newErrors.userPoolClientId = 'User Pool Client ID may only contain letters, digits, _ and +';
+  }
+  if (!identityPoolId) {
+    newErrors.identityPoolId = 'Identity Pool ID is required';
+  } else if (!IDENTITY_POOL_ID_PATTERN.test(identityPoolId)) {
+    newErrors.identityPoolId = 'Identity Pool ID must look like us-east-1:a0421ced-2ae0-45ab-a503-21f6f23c5562';
+  }
+  checkRegion(newErrors, 'cognitoRegion', cognito.region, 'Cognito Region');
+  // Both pools live in the Cognito region
+  const region = trimmed(cognito.region);
+  if (!newErrors.cognitoRegion) {
+    if (!newErrors.userPoolId && userPoolId.match(USER_POOL_ID_PATTERN)[1] !== region) {
+      newErrors.userPoolId = `User Pool ID belongs to ${userPoolId.match(USER_POOL_ID_PATTERN)[1]}, not ${region}`;
+    }
+    if (!newErrors.identityPoolId && identityPoolId.match(IDENTITY_POOL_ID_PATTERN)[1] !== region) {
+      newErrors.identityPoolId = `Identity Pool ID belongs to ${identityPoolId.match(IDENTITY_POOL_ID_PATTERN)[1]}, not ${region}`;
+    }
+  }
+
+  // Validate Bedrock fields if neither Strands nor AgentCore is enabled
+  if (!strands.enabled && !agentcore.enabled) {
+    if (!trimmed(bedrock.agentId)) {
+      newErrors.agentId = 'Agent ID is required';
+    } else if (!AGENT_ID_PATTERN.test(trimmed(bedrock.agentId))) {
+      newErrors.agentId = 'Agent ID must be 10 letters or digits, e.g. UF1W5WKVYI';
+    }
+    if (!trimmed(bedrock.agentAliasId)) {
+      newErrors.agentAliasId = 'Agent Alias ID is required';
+    } else if (!AGENT_ID_PATTERN.test(trimmed(bedrock.agentAliasId))) {
+      newErrors.agentAliasId = 'Agent Alias ID must be 10 letters or digits, e.g. TSTALIASID';
+    }
+    checkRegion(newErrors, 'bedrockRegion', bedrock.region, 'Bedrock Region');
+  }
+
+  // Validate Strands fields if enabled
+  if (strands.enabled) {
+    if (!trimmed(strands.lambdaArn)) {
+      newErrors.lambdaArn = 'Lambda ARN is required';
+    } else if (!LAMBDA_ARN_PATTERN.test(trimmed(strands.lambdaArn))) {
+      newErrors.lambdaArn = 'Lambda ARN must look like arn:aws:lambda:us-east-1:123456789012:function:my-function';
+    }
+    checkRegion(newErrors, 'strandsRegion', strands.region, 'Region');
+    // Empty paths fall back to the default mapping
+    const mapping = strands.responseMapping || {};
+    [['responseTextPath', 'text'], ['responseCitationsPath', 'citations'], ['responseErrorPath', 'error']].forEach(([key, field]) => {
+      if (!isValidPath(mapping[field])) {
+        newErrors[key] = 'Must be a JSON path such as output.text or $.result.content[0].text';
+      }
+    });
+    checkContextWindow(newErrors, 'strandsContextWindow', strands.contextWindow);
+  }
+
+  // Validate AgentCore fields if enabled
+  if (agentcore.enabled) {
+    if (!trimmed(agentcore.agentArn)) {
+      newErrors.agentCoreArn = 'AgentCore ARN is required';
+    } else if (!AGENTCORE_ARN_PATTERN.test(trimmed(agentcore.agentArn))) {
+      newErrors.agentCoreArn = 'AgentCore ARN must look like arn:aws:bedrock-agentcore:us-east-1:123456789012:runtime/my-agent';
+    }
+    checkRegion(newErrors, 'agentCoreRegion', agentcore.region, 'Region');
+    checkContextWindow(newErrors, 'agentCoreContextWindow', agentcore.contextWindow);
+  }
+
+  // Validate the Data API endpoint if history is stored server-side
+  if (history.backend === 'amplify') {
+    if (!trimmed(history.graphqlEndpoint)) {
+      newErrors.graphqlEndpoint = 'GraphQL endpoint is required';
+    } else if (!trimmed(history.graphqlEndpoint).startsWith('https://')) {
+      newErrors.graphqlEndpoint = 'GraphQL endpoint must be an https:// URL';
+    }
+  } else if (!Number.isInteger(Number(history.retentionDays)) || Number(history.retentionDays) < 0) {
+    newErrors.retentionDays = 'Retention must be a whole number of days';
+  }
+
+  if (!(Number(speech.rate) >= 0.5 && Number(speech.rate) <= 2)) {
+    newErrors.speechRate = 'Speaking rate must be between 0.5 and 2';
+  }
+  if (speech.language && !LANGUAGE_TAG_PATTERN.test(speech.language)) {
+    newErrors.speechLanguage = 'Dictation language must be a language tag such as en-US';
+  }
+
+  return newErrors;
+};
+
+// Error keys of the agent sections, reported for each profile
+const AGENT_ERROR_KEYS = [
+  'agentId', 'agentAliasId', 'bedrockRegion',
+  'lambdaArn', 'strandsRegion', 'responseTextPath', 'responseCitationsPath', 'responseErrorPath', 'strandsContextWindow',
+  'agentCoreArn', 'agentCoreRegion', 'agentCoreContextWindow'
+];
+
+/**
+ * Validates a configuration in the current schema, including every agent profile
+ * @param {Object} config - Configuration returned by normalizeConfig
+ * @returns {Array<string>} Error messages, empty when the configuration is valid
+ */
+export const validateConfig = (config) => config.profiles.flatMap((profile, index) => {
+  const errors = getConfigErrors({
+    ...config,
+    bedrock: { ...profile.bedrock },
+    strands: { enabled: false, ...profile.strands },
+    agentcore: { enabled: false, ...profile.agentcore }
+  });
+  return Object.entries(errors)
+    // Cognito and history errors are only reported once
+    .filter(([key]) => index === 0 || AGENT_ERROR_KEYS.includes(key))
+    .map(([key, message]) => (AGENT_ERROR_KEYS.includes(key) ? `Agent profile ${index + 1}: ${message}` : message));
+});
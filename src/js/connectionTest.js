@@ -0,0 +1,246 @@
+import { Amplify } from 'aws-amplify';
+import { fetchAuthSession } from 'aws-amplify/auth';
+import { resolveProvider } from './providers';
+
+/**
+ * Connection diagnostics for the configuration screen
+ *
+ * Checks, in order, the Cognito user pool, its app client, the identity pool, the credentials of the
+ * signed in user and a test invocation of the agent. Each step reports 'success', 'error' or 'skipped'
+ * with a message telling the user what to fix. Steps needing credentials only run when the user is
+ * signed in with the Cognito setup being tested.
+ */
+
+// IAM action needed to invoke each provider's agent
+const INVOKE_ACTIONS = {
+  bedrock: 'bedrock:InvokeAgent',
+  strands: 'lambda:InvokeFunction',
+  agentcore: 'bedrock-agentcore:InvokeAgentRuntime'
+};
+
+/**
+ * Calls an unauthenticated Cognito API, the same way the Amplify libraries do from the browser
+ * @param {string} service - 'cognito-idp' or 'cognito-identity'
+ * @param {string} region - Region of the pool
+ * @param {string} target - X-Amz-Target of the operation
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} Named after the Cognito error type
+ */
+const callCognito = async (service, region, target, body) => {
+  const response = await fetch(`https://${service}.${region}.amazonaws.com/`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-amz-json-1.1',
+      'X-Amz-Target': target
+    },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(result.message || result.Message || response.statusText);
+    error.name = (result.__type || 'Error').split('#').pop();
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * @param {Error} error - Error thrown by fetch or an SDK client
+ * @returns {boolean} True if the endpoint could not be reached at all
+ */
+const isNetworkError = (error) => error instanceof TypeError || error?.name === 'TimeoutError';
+
+/**
+ * Checks that the user pool exists in the region
+ * @param {Object} cognito - Cognito configuration section
+ * @returns {Promise<string>} Success message
+ */
+const checkUserPool = async ({ userPoolId, region }) => {
+  let response;
+  try {
+    response = await fetch(`https://cognito-idp.${region}.amazonaws.com/${userPoolId}/.well-known/openid-configuration`);
+  } catch (error) {
+    if (isNetworkError(error)) {
+      throw new Error(`Amazon Cognito in ${region} could not be reached. Check the region and your network connection.`);
+    }
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`User pool ${userPoolId} was not found in ${region}. Check the User Pool ID and the region.`);
+  }
+  return `User pool ${userPoolId} found`;
+};
+
+/**
+ * Checks that the app client exists and can sign in from the browser
+ * Starts an SRP sign-in for a user that does not exist: the error returned tells whether the client is usable
+ * @param {Object} cognito - Cognito configuration section
+ * @returns {Promise<string>} Success message
+ */
+const checkUserPoolClient = async ({ userPoolClientId, region }) => {
+  try {
+    await callCognito('cognito-idp', region, 'AWSCognitoIdentityProviderService.InitiateAuth', {
+      AuthFlow: 'USER_SRP_AUTH',
+      ClientId: userPoolClientId,
+      AuthParameters: { USERNAME: `connection-test-${crypto.randomUUID()}`, SRP_A: '1' }
+    });
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      throw new Error(`App client ${userPoolClientId} does not exist in ${region}. Check the User Pool Client ID.`);
+    }
+    if (/secret hash/i.test(error.message)) {
+      throw new Error('The app client has a client secret, which browser applications cannot use. Create an app client without a secret.');
+    }
+    if (error.name === 'InvalidParameterException' && /not enabled/i.test(error.message)) {
+      throw new Error('The app client does not allow SRP sign-in. Enable ALLOW_USER_SRP_AUTH in its authentication flows.');
+    }
+    if (isNetworkError(error)) {
+      throw new Error(`Amazon Cognito in ${region} could not be reached. Check the region and your network connection.`);
+    }
+    // Any other answer (unknown user, invalid SRP value) comes from an existing client
+  }
+  return `App client ${userPoolClientId} accepts sign-in requests`;
+};
+
+/**
+ * @param {Object} cognito - Cognito configuration section being tested
+ * @returns {boolean} True if Amplify is configured with the same pools, i.e. the signed in user belongs to them
+ */
+const isConfiguredCognito = (cognito) => {
+  const configured = Amplify.getConfig().Auth?.Cognito;
+  return !!configured
+    && configured.userPoolId === cognito.userPoolId.trim()
+    && configured.userPoolClientId === cognito.userPoolClientId.trim()
+    && configured.identityPoolId === cognito.identityPoolId.trim();
+};
+
+/**
+ * Checks that the identity pool exists in the region, without creating an identity
+ * A signed in user of the pool proves it works. Otherwise GetId is called with a login token that cannot be
+ * valid: the pool rejects it once it is found, whether or not it allows guest access.
+ * @param {Object} cognito - Cognito configuration section
+ * @returns {Promise<string>} Success message
+ */
+const checkIdentityPool = async (cognito) => {
+  const { identityPoolId, userPoolId, region } = cognito;
+  if (isConfiguredCognito(cognito)) {
+    const session = await fetchAuthSession().catch(() => null);
+    if (session?.credentials && session.identityId) {
+      return `Identity pool ${identityPoolId} issued credentials to the signed in user`;
+    }
+  }
+  try {
+    await callCognito('cognito-identity', region, 'AWSCognitoIdentityService.GetId', {
+      IdentityPoolId: identityPoolId,
+      Logins: { [`cognito-idp.${region}.amazonaws.com/${userPoolId}`]: 'connection-test' }
+    });
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      throw new Error(`Identity pool ${identityPoolId} was not found in ${region}. Check the Identity Pool ID.`);
+    }
+    if (isNetworkError(error)) {
+      throw new Error(`Amazon Cognito in ${region} could not be reached. Check the region and your network connection.`);
+    }
+    // NotAuthorizedException: the pool exists and rejected the test token, as expected
+    if (error.name !== 'NotAuthorizedException') {
+      throw error;
+    }
+  }
+  return `Identity pool ${identityPoolId} found`;
+};
+
+/**
+ * Explains why the agent could not be invoked
+ * @param {Error} error - Error thrown by the provider
+ * @param {Object} provider - Provider adapter
+ * @param {Object} config - Provider configuration section
+ * @returns {string} Actionable message
+ */
+const describeInvocationError = (error, provider, config) => {
+  const status = error?.$metadata?.httpStatusCode;
+  if (error?.name === 'AccessDeniedException' || error?.name === 'AccessDenied' || status === 403) {
+    return `The identity pool's authenticated role is not allowed to invoke this agent. Allow ${INVOKE_ACTIONS[provider.id] || 'the invoke action'} on it in IAM. (${error.message})`;
+  }
+  if (error?.name === 'ResourceNotFoundException' || status === 404) {
+    return `The agent was not found in ${config.region}. Check its identifiers and region. (${error.message})`;
+  }
+  if (['UnrecognizedClientException', 'InvalidSignatureException', 'ExpiredTokenException'].includes(error?.name)) {
+    return `The credentials were rejected. Sign out and in again. (${error.message})`;
+  }
+  if (isNetworkError(error)) {
+    return `The ${provider.label} endpoint in ${config.region} could not be reached. Check the region and your network connection.`;
+  }
+  return error.message;
+};
+
+/**
+ * Runs the connection diagnostics for a configuration
+ * @param {Object} config - Configuration form state: cognito section plus the agent sections of the profile being tested
+ * @yields {Object} { id, label, status: 'success' | 'error' | 'skipped', message } once per step
+ */
+export async function* runConnectionTest(config) {
+  const { cognito } = config;
+  const cognitoSteps = [
+    { id: 'userPool', label: 'Cognito user pool', check: checkUserPool },
+    { id: 'userPoolClient', label: 'Cognito app client', check: checkUserPoolClient },
+    { id: 'identityPool', label: 'Cognito identity pool', check: checkIdentityPool }
+  ];
+  for (const step of cognitoSteps) {
+    try {
+      yield { id: step.id, label: step.label, status: 'success', message: await step.check(cognito) };
+    } catch (error) {
+      yield { id: step.id, label: step.label, status: 'error', message: error.message };
+    }
+  }
+
+  // Credentials come from the signed in user, so they can only be tested with the saved Cognito setup
+  let credentials;
+  if (!isConfiguredCognito(cognito)) {
+    yield {
+      id: 'credentials',
+      label: 'AWS credentials',
+      status: 'skipped',
+      message: 'Save the configuration and sign in, then test again from the settings to check credentials and the agent.'
+    };
+  } else {
+    try {
+      const session = await fetchAuthSession();
+      credentials = session.credentials;
+      if (!credentials) {
+        throw new Error(session.tokens
+          ? 'The identity pool returned no credentials. Check that it lists this user pool and app client as an authentication provider.'
+          : 'You are not signed in. Sign in, then test again from the settings.');
+      }
+      yield { id: 'credentials', label: 'AWS credentials', status: 'success', message: `Credentials issued for identity ${session.identityId}` };
+    } catch (error) {
+      yield { id: 'credentials', label: 'AWS credentials', status: 'error', message: error.message };
+    }
+  }
+
+  const provider = resolveProvider(config);
+  const providerConfig = provider?.getConfig(config);
+  if (!credentials || !provider?.testConnection) {
+    yield {
+      id: 'invocation',
+      label: 'Agent invocation',
+      status: 'skipped',
+      message: credentials ? `${provider?.label || 'This agent'} cannot be tested.` : 'Needs AWS credentials.'
+    };
+    return;
+  }
+  const abortController = new AbortController();
+  try {
+    await provider.testConnection(provider.createClient(providerConfig, credentials), {
+      config: providerConfig,
+      abortSignal: abortController.signal
+    });
+    yield { id: 'invocation', label: 'Agent invocation', status: 'success', message: `${provider.label} responded in ${providerConfig.region}` };
+  } catch (error) {
+    console.error('Error testing the agent:', error);
+    yield { id: 'invocation', label: 'Agent invocation', status: 'error', message: describeInvocationError(error, provider, providerConfig) };
+  } finally {
+    // The rest of the test response is not needed
+    abortController.abort();
+  }
+}
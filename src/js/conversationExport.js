@@ -0,0 +1,253 @@
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+
+/**
+ * Export and import of conversations
+ * Sessions can be saved as Markdown transcripts, as JSON keeping every stored message field
+ * (traces, citations, sources, attachments...) and as a printable HTML page; JSON exports can
+ * be imported back into the history store. The ratings users gave to agent responses are
+ * exported separately for agent quality review.
+ */
+
+// Identifies files produced by toJsonExport
+const EXPORT_FORMAT = 'secure-chat-conversation';
+// Version of the JSON export structure
+const EXPORT_VERSION = 1;
+// Identifies files produced by toFeedbackExport
+const FEEDBACK_FORMAT = 'secure-chat-feedback';
+
+/**
+ * @param {Object} message - Chat message
+ * @returns {Object} Message without the fields that only matter while it is displayed
+ */
+const toExportedMessage = (message) => {
+  const exported = { ...message };
+  delete exported.isStreaming;
+  return exported;
+};
+
+/**
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Timestamp formatted for the user's locale, or empty string
+ */
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+/**
+ * @param {string} text - Text to embed in HTML
+ * @returns {string} Text with HTML special characters escaped
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (character) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[character]);
+
+/**
+ * Builds a file name from a session title
+ * @param {Object} session - Session with its title
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name safe for every platform
+ */
+export const exportFileName = (session, extension) => {
+  const base = (session.title || 'conversation')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .substring(0, 60);
+  return `${base || 'conversation'}.${extension}`;
+};
+
+/**
+ * Formats a session as a Markdown transcript
+ * @param {Object} session - Session with its title
+ * @param {Array<Object>} messages - Messages of the session
+ * @returns {string} Markdown document
+ */
+export const toMarkdown = (session, messages) => {
+  const lines = [`# ${session.title || 'Conversation'}`, ''];
+  messages.forEach(message => {
+    const timestamp = formatTimestamp(message.timestamp);
+    lines.push(`### ${message.sender}${timestamp ? ` — ${timestamp}` : ''}`, '', message.text || '', '');
+    const files = [...(message.attachments || []), ...(message.files || [])];
+    if (files.length > 0) {
+      lines.push(`Attachments: ${files.map(file => file.name).join(', ')}`, '');
+    }
+    if (message.sources?.length > 0) {
+      lines.push('Sources:');
+      message.sources.forEach((source, index) => {
+        lines.push(`${index + 1}. ${/^https?:\/\//.test(source.uri) ? `[${source.title}](${source.uri})` : source.title}`);
+      });
+      lines.push('');
+    }
+    if (message.feedback) {
+      const rating = message.feedback.rating === 'up' ? 'helpful' : 'not helpful';
+      lines.push(`Feedback: ${rating}${message.feedback.comment ? ` — ${message.feedback.comment}` : ''}`, '');
+    }
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Formats a session as JSON keeping every stored message field
+ * @param {Object} session - Session with its identifier and title
+ * @param {Array<Object>} messages - Messages of the session
+ * @returns {string} JSON document
+ */
+export const toJsonExport = (session, messages) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  session: { sessionId: session.sessionId, title: session.title },
+  messages: messages.map(toExportedMessage)
+}, null, 2);
+
+/**
+ * Lists the rated agent responses of stored sessions with the prompt each one answered
+ * @param {Array<Object>} conversations - { session, messages } of each session
+ * @param {Object} options - Export options
+ * @param {string} options.username - Sender name of the user's messages
+ * @returns {string} JSON document
+ */
+export const toFeedbackExport = (conversations, { username }) => {
+  const responses = [];
+  conversations.forEach(({ session, messages }) => {
+    messages.forEach((message, index) => {
+      if (!message.feedback || message.sender === username) {
+        return;
+      }
+      const prompt = messages.slice(0, index).reverse().find(m => m.sender === username);
+      responses.push({
+        sessionId: session.sessionId,
+        sessionTitle: session.title,
+        ...(session.profileId && { profileId: session.profileId }),
+        messageId: message.id,
+        agent: message.sender,
+        prompt: prompt?.text || '',
+        response: message.text || '',
+        respondedAt: message.timestamp,
+        ...(message.status && { status: message.status }),
+        rating: message.feedback.rating,
+        comment: message.feedback.comment || '',
+        ratedAt: message.feedback.timestamp,
+        ...(message.invocation && { invocation: message.invocation })
+      });
+    });
+  });
+  return JSON.stringify({
+    format: FEEDBACK_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    responses
+  }, null, 2);
+};
+
+/**
+ * Reads a file produced by toJsonExport
+ * @param {string} text - Content of the file
+ * @returns {Object} { session, messages } of the exported conversation
+ * @throws {Error} If the file is not a conversation export
+ */
+export const parseJsonExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.messages)) {
+    throw new Error('The file is not a conversation export');
+  }
+  if (data.messages.length === 0) {
+    throw new Error('The conversation has no messages');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the application');
+  }
+  const invalid = data.messages.some(message => (
+    typeof message?.id !== 'string' || typeof message.sender !== 'string' || typeof (message.text ?? '') !== 'string'
+  ));
+  if (invalid) {
+    throw new Error('The file contains malformed messages');
+  }
+  return { session: data.session || {}, messages: data.messages };
+};
+
+/**
+ * Formats a session as a standalone HTML page meant to be printed or saved as PDF
+ * Message text is rendered as Markdown without raw HTML so the page cannot run scripts
+ * @param {Object} session - Session with its title
+ * @param {Array<Object>} messages - Messages of the session
+ * @returns {string} HTML document
+ */
+export const toPrintableHtml = (session, messages) => {
+  const title = escapeHtml(session.title || 'Conversation');
+  const body = messages.map(message => {
+    const timestamp = formatTimestamp(message.timestamp);
+    const sources = message.sources?.length > 0
+      ? `<ol class="sources">${message.sources.map(source => `<li>${escapeHtml(source.title)}${source.uri && source.uri !== source.title ? ` <small>${escapeHtml(source.uri)}</small>` : ''}</li>`).join('')}</ol>`
+      : '';
+    return `<section class="message">
+  <h3>${escapeHtml(message.sender)}${timestamp ? ` <small>${escapeHtml(timestamp)}</small>` : ''}</h3>
+  ${renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, message.text || ''))}
+  ${sources}
+</section>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; max-width: 800px; margin: 2em auto; color: #16191f; }
+  .message { border-bottom: 1px solid #ccc; padding-bottom: 1em; break-inside: avoid; }
+  h3 small, .sources small { color: #5f6b7a; font-weight: normal; }
+  pre { white-space: pre-wrap; background: #f4f4f4; padding: 0.5em; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #ccc; padding: 4px; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${body}
+</body>
+</html>`;
+};
+
+/**
+ * Saves content as a file through the browser's download mechanism
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - File content
+ * @param {string} mediaType - MIME type of the content
+ */
+export const downloadFile = (fileName, content, mediaType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mediaType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Opens the printable page of a session in a new window and shows the print dialog
+ * The browser's print dialog offers saving the page as PDF
+ * @param {string} html - Document built by toPrintableHtml
+ * @returns {boolean} False if the window was blocked by the browser
+ */
+export const openPrintView = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    return false;
+  }
+  printWindow.opener = null;
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
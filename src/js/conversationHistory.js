@@ -0,0 +1,131 @@
+/**
+ * Conversation history sent to stateless agents
+ * Agents that keep no session state, such as a Strands agent in a Lambda function, receive the
+ * earlier turns of the conversation with every request. Long conversations are cut to a window of
+ * recent turns, and the turns left out are replaced by a short summary.
+ */
+
+// Context window used when an agent does not configure one
+export const DEFAULT_CONTEXT_WINDOW = {
+  // 'turns' keeps the last `turns` exchanges, 'tokens' as many recent messages as fit in `tokens`, 'none' sends no history
+  mode: 'turns',
+  turns: 10,
+  tokens: 4000,
+  // Summarize the messages left out of the window
+  summarize: true
+};
+
+// Approximate number of characters per token for English text
+const CHARACTERS_PER_TOKEN = 4;
+// Budget of the summary of older messages, in tokens
+const SUMMARY_TOKENS = 500;
+// Characters kept from each older message in the summary
+const SUMMARY_EXCERPT_LENGTH = 200;
+
+/**
+ * @param {string} text - Text sent to the agent
+ * @returns {number} Rough number of tokens of the text
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARACTERS_PER_TOKEN);
+
+/**
+ * Builds the history of a conversation, oldest turn first
+ * Messages still streaming, failed, regenerated or without text are left out
+ * @param {Array<Object>} messages - Messages shown in the conversation, before the new prompt
+ * @param {Object} options - History options
+ * @param {string} options.username - Sender name of the user's messages
+ * @param {string} [options.prompt] - Prompt being sent; dropped from the end of the history when it is being sent again
+ * @returns {Array<Object>} Turns as { role: 'user' | 'assistant', content }
+ */
+export const toConversationHistory = (messages, { username, prompt }) => {
+  const history = messages
+    .filter(message => !message.isStreaming && !['error', 'retried', 'regenerated'].includes(message.status) && message.text?.trim())
+    .map(message => ({
+      role: message.sender === username ? 'user' : 'assistant',
+      content: message.text
+    }));
+  const last = history[history.length - 1];
+  if (last?.role === 'user' && last.content === prompt) {
+    history.pop();
+  }
+  return history;
+};
+
+/**
+ * Finds where the window of recent history starts
+ * @param {Array<Object>} history - Result of toConversationHistory
+ * @param {Object} contextWindow - Context window settings
+ * @returns {number} Index of the first entry sent as is
+ */
+const windowStart = (history, { mode, turns, tokens }) => {
+  if (mode === 'none') {
+    return history.length;
+  }
+  if (mode === 'tokens') {
+    let used = 0;
+    let start = history.length;
+    while (start > 0 && used + estimateTokens(history[start - 1].content) <= Number(tokens)) {
+      used += estimateTokens(history[start - 1].content);
+      start -= 1;
+    }
+    return start;
+  }
+  // A turn starts with a user message
+  let start = history.length;
+  let turnsKept = 0;
+  while (start > 0 && turnsKept < Number(turns)) {
+    start -= 1;
+    if (history[start].role === 'user') {
+      turnsKept += 1;
+    }
+  }
+  return start;
+};
+
+/**
+ * Summarizes messages left out of the window with an excerpt of each, most recent first within the budget
+ * @param {Array<Object>} older - History entries before the window
+ * @returns {string} Summary, empty when there is nothing to summarize
+ */
+const summarize = (older) => {
+  if (older.length === 0) {
+    return '';
+  }
+  const lines = [];
+  let used = 0;
+  for (let index = older.length - 1; index >= 0; index--) {
+    const { role, content } = older[index];
+    const excerpt = content.length > SUMMARY_EXCERPT_LENGTH ? `${content.substring(0, SUMMARY_EXCERPT_LENGTH)}…` : content;
+    const line = `${role === 'user' ? 'User' : 'Assistant'}: ${excerpt.replace(/\s+/g, ' ')}`;
+    if (used + estimateTokens(line) > SUMMARY_TOKENS) {
+      lines.unshift(`(${index + 1} earlier messages omitted)`);
+      break;
+    }
+    used += estimateTokens(line);
+    lines.unshift(line);
+  }
+  return `Summary of ${older.length} earlier messages of this conversation:\n${lines.join('\n')}`;
+};
+
+/**
+ * Builds the context sent with a prompt to a stateless agent
+ * @param {Array<Object>} messages - Messages shown in the conversation, loaded from the session store
+ * @param {Object} options - Context options
+ * @param {string} options.username - Sender name of the user's messages
+ * @param {string} [options.prompt] - Prompt being sent
+ * @param {Object} [options.contextWindow] - Context window settings, merged over DEFAULT_CONTEXT_WINDOW
+ * @returns {Object} { history, summary } where history holds the recent turns and summary the older ones
+ */
+export const buildConversationContext = (messages, { username, prompt, contextWindow }) => {
+  const settings = { ...DEFAULT_CONTEXT_WINDOW, ...contextWindow };
+  const history = toConversationHistory(messages, { username, prompt });
+  let start = windowStart(history, settings);
+  // The window starts with the user's side of an exchange
+  while (start < history.length && history[start].role !== 'user') {
+    start += 1;
+  }
+  return {
+    history: history.slice(start),
+    summary: settings.mode !== 'none' && settings.summarize ? summarize(history.slice(0, start)) : ''
+  };
+};
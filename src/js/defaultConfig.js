@@ -0,0 +1,155 @@
+/**
+ * Deploy-time default configuration
+ *
+ * Defaults are gathered at build time, from lowest to highest priority, from:
+ * - amplify_outputs.json generated by the Amplify backend (Cognito pools and Data API endpoint)
+ * - VITE_* environment variables (see .env.example)
+ * - config.json at the project root (see config.example.json)
+ *
+ * config.json may also list `lockedFields`: configuration paths such as "cognito", "cognito.region",
+ * "history" or "profiles" whose default value always wins and that users cannot edit.
+ */
+
+import { regionFromArn } from './configSchema';
+
+// Files are optional; a missing file simply yields no entry
+const configFiles = import.meta.glob('/config.json', { eager: true, import: 'default' });
+const amplifyOutputFiles = import.meta.glob('/amplify_outputs.json', { eager: true, import: 'default' });
+
+/**
+ * @param {*} value - Value to test
+ * @returns {boolean} True for plain objects, which are merged field by field
+ */
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep-merges configuration objects; arrays and other values of the override replace the base
+ * @param {Object} base - Base configuration
+ * @param {Object} override - Values taking precedence
+ * @returns {Object} Merged configuration
+ */
+export const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+};
+
+/**
+ * Removes empty strings so unset environment variables do not override other sources
+ * @param {Object} config - Partial configuration
+ * @returns {Object} Configuration without empty values
+ */
+const withoutEmptyValues = (config) => Object.fromEntries(Object.entries(config)
+  .map(([key, value]) => [key, isPlainObject(value) ? withoutEmptyValues(value) : value])
+  .filter(([, value]) => value !== '' && value !== undefined && !(isPlainObject(value) && Object.keys(value).length === 0)));
+
+/**
+ * @param {Object} outputs - Content of amplify_outputs.json
+ * @returns {Object} Configuration fields provided by the Amplify backend
+ */
+const fromAmplifyOutputs = (outputs) => withoutEmptyValues({
+  cognito: {
+    userPoolId: outputs?.auth?.user_pool_id,
+    userPoolClientId: outputs?.auth?.user_pool_client_id,
+    identityPoolId: outputs?.auth?.identity_pool_id,
+    region: outputs?.auth?.aws_region
+  },
+  history: {
+    graphqlEndpoint: outputs?.data?.url
+  }
+});
+
+/**
+ * @param {Object} env - Vite environment variables
+ * @returns {Object} Configuration fields provided by VITE_* variables
+ */
+const fromEnvironment = (env) => {
+  const config = withoutEmptyValues({
+    cognito: {
+      userPoolId: env.VITE_COGNITO_USER_POOL_ID,
+      userPoolClientId: env.VITE_COGNITO_USER_POOL_CLIENT_ID,
+      identityPoolId: env.VITE_COGNITO_IDENTITY_POOL_ID,
+      region: env.VITE_COGNITO_REGION
+    },
+    history: {
+      backend: env.VITE_HISTORY_BACKEND,
+      graphqlEndpoint: env.VITE_HISTORY_GRAPHQL_ENDPOINT
+    }
+  });
+  // A single agent can be described with variables; config.json is needed for several profiles
+  const agent = withoutEmptyValues({
+    bedrock: {
+      agentName: env.VITE_BEDROCK_AGENT_NAME,
+      agentId: env.VITE_BEDROCK_AGENT_ID,
+      agentAliasId: env.VITE_BEDROCK_AGENT_ALIAS_ID,
+      region: env.VITE_BEDROCK_REGION
+    },
+    strands: env.VITE_STRANDS_LAMBDA_ARN && {
+      enabled: true,
+      agentName: env.VITE_STRANDS_AGENT_NAME,
+      lambdaArn: env.VITE_STRANDS_LAMBDA_ARN,
+      region: env.VITE_STRANDS_REGION || regionFromArn(env.VITE_STRANDS_LAMBDA_ARN)
+    },
+    agentcore: env.VITE_AGENTCORE_ARN && {
+      enabled: true,
+      agentName: env.VITE_AGENTCORE_AGENT_NAME,
+      agentArn: env.VITE_AGENTCORE_ARN,
+      region: env.VITE_AGENTCORE_REGION || regionFromArn(env.VITE_AGENTCORE_ARN)
+    }
+  });
+  return Object.keys(agent).length > 0 ? mergeConfig(config, agent) : config;
+};
+
+/**
+ * Builds the default configuration from every deploy-time source
+ * @returns {Object} { config, lockedFields } where config is a partial appConfig
+ */
+export const getDefaultConfig = () => {
+  const { lockedFields = [], ...fileConfig } = configFiles['/config.json'] || {};
+  const config = [
+    fromAmplifyOutputs(amplifyOutputFiles['/amplify_outputs.json']),
+    fromEnvironment(import.meta.env),
+    fileConfig
+  ].reduce(mergeConfig, {});
+  return { config, lockedFields };
+};
+
+/**
+ * @param {Array<string>} lockedFields - Locked configuration paths
+ * @param {string} path - Path of a field, e.g. "cognito.region"
+ * @returns {boolean} True if the field or one of its parents is locked
+ */
+export const isLocked = (lockedFields, path) => lockedFields.some(locked => (
+  path === locked || path.startsWith(`${locked}.`)
+));
+
+/**
+ * @param {Object} config - Configuration
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value at the path
+ */
+const getPath = (config, path) => path.split('.').reduce((value, key) => value?.[key], config);
+
+/**
+ * Overwrites locked fields with their default value
+ * @param {Object} config - Configuration entered, stored or imported by the user
+ * @param {Object} defaults - Result of getDefaultConfig
+ * @returns {Object} Configuration honouring the locks
+ */
+export const applyLockedFields = (config, { config: defaultConfig, lockedFields }) => (
+  lockedFields.reduce((locked, path) => {
+    const value = getPath(defaultConfig, path);
+    if (value === undefined) {
+      return locked;
+    }
+    const keys = path.split('.');
+    const override = keys.reduceRight((nested, key) => ({ [key]: nested }), value);
+    // Replace rather than merge so a locked section cannot gain extra fields
+    return keys.length === 1 ? { ...locked, [path]: value } : mergeConfig(locked, override);
+  }, config)
+);
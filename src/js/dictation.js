@@ -0,0 +1,114 @@
+/**
+ * Helpers for prompts dictated with the browser's speech recognition
+ * Dictated text is appended to what was already typed; in continuous dictation, spoken
+ * punctuation commands such as "comma" or "new line" are replaced by the marks they name.
+ */
+
+// Languages offered for dictation; config.json may set any other BCP 47 tag
+export const DICTATION_LANGUAGES = [
+  { value: 'ar-SA', label: 'Arabic (Saudi Arabia)' },
+  { value: 'zh-CN', label: 'Chinese (Mainland China)' },
+  { value: 'zh-TW', label: 'Chinese (Taiwan)' },
+  { value: 'da-DK', label: 'Danish' },
+  { value: 'nl-NL', label: 'Dutch' },
+  { value: 'en-AU', label: 'English (Australia)' },
+  { value: 'en-IN', label: 'English (India)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'fi-FI', label: 'Finnish' },
+  { value: 'fr-CA', label: 'French (Canada)' },
+  { value: 'fr-FR', label: 'French (France)' },
+  { value: 'de-DE', label: 'German' },
+  { value: 'he-IL', label: 'Hebrew' },
+  { value: 'hi-IN', label: 'Hindi' },
+  { value: 'id-ID', label: 'Indonesian' },
+  { value: 'it-IT', label: 'Italian' },
+  { value: 'ja-JP', label: 'Japanese' },
+  { value: 'ko-KR', label: 'Korean' },
+  { value: 'nb-NO', label: 'Norwegian' },
+  { value: 'pl-PL', label: 'Polish' },
+  { value: 'pt-BR', label: 'Portuguese (Brazil)' },
+  { value: 'pt-PT', label: 'Portuguese (Portugal)' },
+  { value: 'ru-RU', label: 'Russian' },
+  { value: 'es-MX', label: 'Spanish (Mexico)' },
+  { value: 'es-ES', label: 'Spanish (Spain)' },
+  { value: 'sv-SE', label: 'Swedish' },
+  { value: 'th-TH', label: 'Thai' },
+  { value: 'tr-TR', label: 'Turkish' },
+  { value: 'uk-UA', label: 'Ukrainian' },
+  { value: 'vi-VN', label: 'Vietnamese' }
+];
+
+// Spoken commands of continuous dictation and the text they insert, for English
+const VOICE_COMMANDS = {
+  'new paragraph': '\n\n',
+  'new line': '\n',
+  'question mark': '?',
+  'exclamation mark': '!',
+  'exclamation point': '!',
+  'full stop': '.',
+  'period': '.',
+  'comma': ',',
+  'semicolon': ';',
+  'colon': ':'
+};
+
+const VOICE_COMMAND_PATTERN = new RegExp(`\\s*\\b(${Object.keys(VOICE_COMMANDS).join('|')})\\b`, 'gi');
+
+/**
+ * Replaces spoken punctuation commands with the marks they name
+ * Commands are only recognized in English; other languages are returned as they were heard
+ * @param {string} text - Final transcript of a dictated phrase
+ * @param {string} language - BCP 47 tag of the dictation language
+ * @returns {string} Text with punctuation, sentences after a mark starting with a capital letter
+ */
+export const applyVoiceCommands = (text, language) => {
+  if (!/^en(-|$)/i.test(language || '')) {
+    return text;
+  }
+  return text
+    .replace(VOICE_COMMAND_PATTERN, (match, command) => VOICE_COMMANDS[command.toLowerCase()])
+    .replace(/([,;:.?!])(?=[^\s,;:.?!])/g, '$1 ')
+    .replace(/ *\n */g, '\n')
+    .replace(/([.?!]\s+|\n)([a-z])/g, (match, boundary, letter) => `${boundary}${letter.toUpperCase()}`);
+};
+
+/**
+ * Appends dictated text to the text of the prompt
+ * @param {string} text - Text already typed or dictated
+ * @param {string} dictation - Newly dictated text
+ * @returns {string} The prompt with the dictation separated by a space unless it starts with punctuation
+ */
+export const appendDictation = (text, dictation) => {
+  const addition = (dictation || '').replace(/^ +| +$/g, '');
+  if (!addition) {
+    return text || '';
+  }
+  if (!text || /\s$/.test(text) || /^[\n,;:.?!]/.test(addition)) {
+    return `${text || ''}${addition}`;
+  }
+  return `${text} ${addition}`;
+};
+
+/**
+ * Explains a speech recognition error
+ * @param {string} code - error of the SpeechRecognitionErrorEvent
+ * @returns {string} Message shown under the prompt
+ */
+export const describeDictationError = (code) => {
+  switch (code) {
+    case 'no-speech':
+      return 'No speech was detected. Try again and speak closer to the microphone.';
+    case 'not-allowed':
+    case 'service-not-allowed':
+      return 'Microphone access is blocked. Allow it in the site settings of your browser to dictate.';
+    case 'network':
+      return 'Dictation needs a network connection and the speech recognition service could not be reached.';
+    case 'audio-capture':
+      return 'No microphone was found.';
+    case 'language-not-supported':
+      return 'Dictation is not available in the selected language.';
+    default:
+      return `Dictation stopped (${code}).`;
+  }
+};
@@ -0,0 +1,272 @@
+import { generateClient } from 'aws-amplify/api';
+import { toSnippet } from './search';
+
+// Maximum length of a conversation title derived from its first message
+const MAX_TITLE_LENGTH = 100;
+
+const listConversations = /* GraphQL */ `
+  query ListConversations($nextToken: String) {
+    listConversations(limit: 100, nextToken: $nextToken) {
+      items { sessionId title pinned readOnly profileId lastActivityAt updatedAt }
+      nextToken
+    }
+  }
+`;
+
+const createConversation = /* GraphQL */ `
+  mutation CreateConversation($input: CreateConversationInput!) {
+    createConversation(input: $input) { sessionId }
+  }
+`;
+
+const updateConversation = /* GraphQL */ `
+  mutation UpdateConversation($input: UpdateConversationInput!) {
+    updateConversation(input: $input) { sessionId }
+  }
+`;
+
+const deleteConversation = /* GraphQL */ `
+  mutation DeleteConversation($input: DeleteConversationInput!) {
+    deleteConversation(input: $input) { sessionId }
+  }
+`;
+
+const listMessages = /* GraphQL */ `
+  query ListMessages($sessionId: String!, $nextToken: String) {
+    listMessages(sessionId: $sessionId, limit: 100, nextToken: $nextToken) {
+      items { messageId position sender text details }
+      nextToken
+    }
+  }
+`;
+
+const searchMessages = /* GraphQL */ `
+  query SearchMessages($filter: ModelMessageFilterInput, $nextToken: String) {
+    listMessages(filter: $filter, limit: 100, nextToken: $nextToken) {
+      items { sessionId messageId text }
+      nextToken
+    }
+  }
+`;
+
+const getMessage = /* GraphQL */ `
+  query GetMessage($sessionId: String!, $messageId: String!) {
+    getMessage(sessionId: $sessionId, messageId: $messageId) { messageId sender text details }
+  }
+`;
+
+const createMessage = /* GraphQL */ `
+  mutation CreateMessage($input: CreateMessageInput!) {
+    createMessage(input: $input) { messageId }
+  }
+`;
+
+const updateMessage = /* GraphQL */ `
+  mutation UpdateMessage($input: UpdateMessageInput!) {
+    updateMessage(input: $input) { messageId }
+  }
+`;
+
+const deleteMessage = /* GraphQL */ `
+  mutation DeleteMessage($input: DeleteMessageInput!) {
+    deleteMessage(input: $input) { messageId }
+  }
+`;
+
+/**
+ * @param {Array<Object>} [files] - Attached or returned files of a message
+ * @returns {Array<Object>|undefined} The files without their content
+ */
+const withoutContent = (files) => files?.map(({ name, mediaType, size }) => ({ name, mediaType, size }));
+
+/**
+ * Splits a chat message into the fields of a Message record
+ * Everything other than id, sender and text goes into the `details` JSON field. File content is left out:
+ * base64 data would push records past the 400 KB item limit of DynamoDB.
+ * @param {Object} message - Chat message
+ * @returns {Object} Record fields
+ */
+const toRecord = ({ id, sender, text, ...details }) => ({
+  messageId: id,
+  sender,
+  text,
+  details: JSON.stringify({
+    ...details,
+    ...(details.files && { files: withoutContent(details.files) }),
+    ...(details.attachments && { attachments: withoutContent(details.attachments) })
+  })
+});
+
+/**
+ * Rebuilds a chat message from a Message record
+ * @param {Object} record - Message record returned by the API
+ * @returns {Object} Chat message
+ */
+const fromRecord = (record) => ({
+  ...(record.details ? JSON.parse(record.details) : {}),
+  id: record.messageId,
+  sender: record.sender,
+  text: record.text
+});
+
+/**
+ * Conversation history stored with the Amplify Data API (see amplify/data/resource.ts)
+ * Records are owned by the signed in Cognito user
+ * @returns {Object} History store (see ./index.js for the interface)
+ */
+export const createAmplifyHistoryStore = () => {
+  const client = generateClient();
+  // Number of stored messages per session, used to order appended messages
+  const messageCounts = {};
+  // Details of sessions whose conversation record is not created yet
+  const pendingDetails = {};
+  // Writes are chained so concurrent appends do not take the same positions
+  let pendingWrites = Promise.resolve();
+
+  /**
+   * Runs a GraphQL operation and returns its data
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Operation variables
+   * @returns {Promise<Object>} Response data
+   */
+  const request = async (query, variables) => {
+    const result = await client.graphql({ query, variables });
+    return result.data;
+  };
+
+  /**
+   * Queues a write after the ones already in progress
+   * @param {Function} task - Async function performing the write
+   * @returns {Promise<*>} Result of the task
+   */
+  const serialize = (task) => {
+    const result = pendingWrites.then(task);
+    pendingWrites = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Follows nextToken until every item of a list query has been read
+   * @param {string} query - GraphQL list document
+   * @param {string} field - Name of the list field in the response
+   * @param {Object} variables - Operation variables
+   * @returns {Promise<Array<Object>>} All items
+   */
+  const listAll = async (query, field, variables = {}) => {
+    const items = [];
+    let nextToken = null;
+    do {
+      const data = await request(query, { ...variables, nextToken });
+      items.push(...data[field].items);
+      nextToken = data[field].nextToken;
+    } while (nextToken);
+    return items;
+  };
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<Object>>} Messages of the session in conversation order
+   */
+  const loadMessages = async (sessionId) => {
+    const records = await listAll(listMessages, 'listMessages', { sessionId });
+    records.sort((a, b) => a.position - b.position);
+    messageCounts[sessionId] = records.length;
+    return records.map(fromRecord);
+  };
+
+  return {
+    listSessions: async () => {
+      const conversations = await listAll(listConversations, 'listConversations');
+      return conversations
+        .filter(conversation => conversation.title)
+        .map(({ sessionId, title, pinned, readOnly, profileId, lastActivityAt, updatedAt }) => ({
+          sessionId,
+          title,
+          // Renaming or pinning changes updatedAt, so activity is tracked separately
+          updatedAt: lastActivityAt || updatedAt,
+          pinned: !!pinned,
+          readOnly: !!readOnly,
+          profileId
+        }));
+    },
+
+    fetchMessages: async (sessionId) => {
+      // Let pending writes land first so the message count is not read mid-append
+      await pendingWrites;
+      return loadMessages(sessionId);
+    },
+
+    createSession: async (sessionId, details = {}) => {
+      // The conversation record is created together with its first message
+      messageCounts[sessionId] = 0;
+      pendingDetails[sessionId] = details;
+    },
+
+    appendMessages: (sessionId, newMessages) => serialize(async () => {
+      if (messageCounts[sessionId] === undefined) {
+        await loadMessages(sessionId);
+      }
+      const position = messageCounts[sessionId];
+      const lastActivityAt = new Date().toISOString();
+      if (position === 0) {
+        const title = (newMessages[0]?.text || '').substring(0, MAX_TITLE_LENGTH);
+        await request(createConversation, { input: { sessionId, title, lastActivityAt, ...pendingDetails[sessionId] } });
+        delete pendingDetails[sessionId];
+      } else {
+        await request(updateConversation, { input: { sessionId, lastActivityAt } });
+      }
+      for (const [index, message] of newMessages.entries()) {
+        await request(createMessage, { input: { sessionId, position: position + index, ...toRecord(message) } });
+        messageCounts[sessionId] = position + index + 1;
+      }
+    }),
+
+    updateMessage: (sessionId, messageId, changes) => serialize(async () => {
+      const data = await request(getMessage, { sessionId, messageId });
+      if (!data.getMessage) {
+        return;
+      }
+      const message = { ...fromRecord(data.getMessage), ...changes };
+      await request(updateMessage, { input: { sessionId, ...toRecord(message) } });
+    }),
+
+    updateSession: async (sessionId, { title, ...flags }) => {
+      await request(updateConversation, {
+        input: {
+          sessionId,
+          ...(title !== undefined && { title: title.substring(0, MAX_TITLE_LENGTH) }),
+          ...flags
+        }
+      });
+    },
+
+    searchSessions: async (query) => {
+      // DynamoDB filters are case-sensitive, so matching is as typed
+      const records = await listAll(searchMessages, 'listMessages', { filter: { text: { contains: query } } });
+      const results = new Map();
+      records.forEach(record => {
+        if (!results.has(record.sessionId)) {
+          results.set(record.sessionId, {
+            sessionId: record.sessionId,
+            messageId: record.messageId,
+            snippet: toSnippet(record.text, query)
+          });
+        }
+      });
+      return [...results.values()];
+    },
+
+    deleteSession: (sessionId) => serialize(async () => {
+      const records = await listAll(listMessages, 'listMessages', { sessionId });
+      for (const record of records) {
+        await request(deleteMessage, { input: { sessionId, messageId: record.messageId } });
+      }
+      await request(deleteConversation, { input: { sessionId } });
+      delete messageCounts[sessionId];
+    }),
+
+    purgeLocalData: async () => {
+      // Nothing is kept in the browser; server-side history outlives the browser session
+    }
+  };
+};
@@ -0,0 +1,124 @@
+import { base64ToBytes, bytesToBase64 } from '../attachments';
+
+/**
+ * Encryption at rest for conversation history kept in the browser
+ *
+ * Each user gets a random, non-extractable HKDF base key kept in IndexedDB. An AES-GCM key is
+ * derived from it for every session, so stored transcripts can only be read through this app
+ * for the user who wrote them. Deleting the base key makes that user's history unreadable.
+ */
+
+const DB_NAME = 'secure-chat-history';
+const KEY_STORE = 'userKeys';
+
+/**
+ * @returns {Promise<IDBDatabase>} The database holding the per-user base keys
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs a single request against the key store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+const withKeyStore = async (mode, operation) => {
+  const database = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(database.transaction(KEY_STORE, mode).objectStore(KEY_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    database.close();
+  }
+};
+
+/**
+ * Returns the base key of a user, creating it on first use
+ * @param {string} userId - Cognito user sub
+ * @returns {Promise<CryptoKey>} HKDF base key
+ */
+export const getUserKey = async (userId) => {
+  const existing = await withKeyStore('readonly', store => store.get(userId));
+  if (existing) {
+    return existing;
+  }
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    crypto.getRandomValues(new Uint8Array(32)),
+    'HKDF',
+    false,
+    ['deriveKey']
+  );
+  await withKeyStore('readwrite', store => store.put(baseKey, userId));
+  return baseKey;
+};
+
+/**
+ * Deletes the base key of a user, making their stored history unreadable
+ * @param {string} userId - Cognito user sub
+ */
+export const deleteUserKey = async (userId) => {
+  await withKeyStore('readwrite', store => store.delete(userId));
+};
+
+/**
+ * Derives the AES-GCM key of one session
+ * @param {CryptoKey} baseKey - User base key
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<CryptoKey>} Session key
+ */
+const deriveSessionKey = (baseKey, sessionId) => crypto.subtle.deriveKey(
+  {
+    name: 'HKDF',
+    hash: 'SHA-256',
+    salt: new Uint8Array(32),
+    info: new TextEncoder().encode(sessionId)
+  },
+  baseKey,
+  { name: 'AES-GCM', length: 256 },
+  false,
+  ['encrypt', 'decrypt']
+);
+
+/**
+ * Encrypts a JSON-serializable value for a session
+ * @param {CryptoKey} baseKey - User base key
+ * @param {string} sessionId - Session identifier
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} { iv, data } as base64 strings
+ */
+export const encryptJson = async (baseKey, sessionId, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveSessionKey(baseKey, sessionId);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+};
+
+/**
+ * Decrypts a value written by encryptJson
+ * @param {CryptoKey} baseKey - User base key
+ * @param {string} sessionId - Session identifier
+ * @param {Object} encrypted - { iv, data } as base64 strings
+ * @returns {Promise<*>} Decrypted value
+ */
+export const decryptJson = async (baseKey, sessionId, { iv, data }) => {
+  const key = await deriveSessionKey(baseKey, sessionId);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
@@ -0,0 +1,100 @@
+import { createLocalHistoryStore, readLegacySessions, purgeLegacySessions } from './localHistoryStore';
+import { createAmplifyHistoryStore } from './amplifyHistoryStore';
+
+/**
+ * Conversation history storage
+ *
+ * Every history store exposes the same asynchronous interface:
+ * - listSessions(): [{ sessionId, title, updatedAt, pinned, readOnly, profileId }] of sessions with at least one message
+ * - fetchMessages(sessionId): messages of a session in conversation order
+ * - createSession(sessionId, { profileId? }): prepares storage for a new session talking to an agent profile
+ * - appendMessages(sessionId, messages): adds messages at the end of a session
+ * - updateMessage(sessionId, messageId, changes): overwrites fields of a stored message
+ * - updateSession(sessionId, { title?, pinned?, readOnly?, profileId? }): renames or flags a session without changing its last activity
+ * - searchSessions(query): [{ sessionId, messageId, snippet }] of the first message matching in each session
+ * - deleteSession(sessionId): removes a session and its messages
+ * - purgeLocalData(): removes whatever the store keeps in this browser for the user
+ */
+
+/**
+ * Creates the history store selected by the application configuration
+ * @param {Object} appConfig - Application configuration
+ * @param {Object} user - Signed in user; local history is kept per Cognito user sub
+ * @returns {Object} History store backed by the Amplify Data API or by localStorage
+ */
+export const createHistoryStore = (appConfig, user) => (
+  appConfig?.history?.backend === 'amplify'
+    ? createAmplifyHistoryStore()
+    : createLocalHistoryStore({ userId: user.userId, retentionDays: appConfig?.history?.retentionDays })
+);
+
+/**
+ * @param {Object} appConfig - Application configuration
+ * @returns {boolean} True if history is kept outside the browser
+ */
+export const isServerSideHistory = (appConfig) => appConfig?.history?.backend === 'amplify';
+
+export { readLegacySessions, purgeLegacySessions };
+
+/**
+ * @param {string} sessionId - Session identifier
+ * @param {Array<Object>} messages - Stored messages of the session
+ * @returns {Array<Object>} The messages, those stored before messages had identifiers given one derived from their position
+ */
+const withMessageIds = (sessionId, messages) => messages
+  .map((message, index) => ({ ...message, id: message.id || `msg-${sessionId}-${index}` }));
+
+/**
+ * Moves the plaintext sessions left by earlier versions into a store, once the signed in user agreed to take them
+ * A session that fails stays in localStorage
+ * @param {Object} targetStore - Store receiving the sessions
+ * @returns {Promise<number>} Number of sessions moved
+ */
+export const migrateLegacySessions = async (targetStore) => {
+  let migrated = 0;
+  for (const { sessionId, messages } of readLegacySessions()) {
+    try {
+      await targetStore.appendMessages(sessionId, withMessageIds(sessionId, messages));
+      purgeLegacySessions([sessionId]);
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating session ${sessionId}:`, error);
+    }
+  }
+  return migrated;
+};
+
+/**
+ * Copies the sessions kept in localStorage to another store, then removes the local copies
+ * Runs once per user; a failed session stays local and is retried on the next login
+ * @param {Object} targetStore - Store receiving the sessions
+ * @param {Object} user - Signed in user whose local sessions are migrated
+ * @returns {Promise<number>} Number of sessions migrated
+ */
+export const migrateLocalHistory = async (targetStore, user) => {
+  const migratedKey = `historyMigrated_${user.userId}`;
+  if (localStorage.getItem(migratedKey)) {
+    return 0;
+  }
+
+  const localStore = createLocalHistoryStore({ userId: user.userId });
+  const sessions = await localStore.listSessions();
+  let migrated = 0;
+  let failed = false;
+  for (const { sessionId } of sessions) {
+    try {
+      await targetStore.appendMessages(sessionId, withMessageIds(sessionId, await localStore.fetchMessages(sessionId)));
+      await localStore.deleteSession(sessionId);
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating session ${sessionId}:`, error);
+      failed = true;
+    }
+  }
+  if (!failed) {
+    localStorage.setItem(migratedKey, new Date().toISOString());
+    // The user's key is no longer needed once nothing local is left to decrypt
+    await localStore.purgeLocalData();
+  }
+  return migrated;
+};
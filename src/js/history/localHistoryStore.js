@@ -0,0 +1,235 @@
+import { getUserKey, deleteUserKey, encryptJson, decryptJson } from './historyCrypto';
+import { findMatch } from './search';
+
+// Prefix of the localStorage keys holding the encrypted messages of a user's session
+const HISTORY_PREFIX = 'history_';
+// Prefix of the plaintext, unscoped keys written by earlier versions
+const LEGACY_PREFIX = 'messages_';
+// Prefix shared by all session identifiers created by the chat
+const SESSION_PREFIX = 'agentcore-session-';
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} keyPrefix - Prefix of the keys to find
+ * @returns {Array<string>} localStorage keys starting with the prefix
+ */
+const keysWithPrefix = (keyPrefix) => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(keyPrefix)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+};
+
+/**
+ * Reads the plaintext sessions left by earlier versions
+ * Nothing records which user wrote them, so they are only moved into a user's history once that user agrees
+ * @returns {Array<Object>} { sessionId, messages } of each session with messages
+ */
+export const readLegacySessions = () => keysWithPrefix(`${LEGACY_PREFIX}${SESSION_PREFIX}`)
+  .map(key => ({
+    sessionId: key.substring(LEGACY_PREFIX.length),
+    messages: JSON.parse(localStorage.getItem(key) || '[]')
+  }))
+  .filter(({ messages }) => Array.isArray(messages) && messages.length > 0);
+
+/**
+ * Deletes plaintext sessions left by earlier versions
+ * @param {Array<string>} [sessionIds] - Sessions to delete; all of them, and the unscoped last session pointer, by default
+ */
+export const purgeLegacySessions = (sessionIds) => {
+  if (sessionIds) {
+    sessionIds.forEach(sessionId => localStorage.removeItem(`${LEGACY_PREFIX}${sessionId}`));
+    return;
+  }
+  keysWithPrefix(`${LEGACY_PREFIX}${SESSION_PREFIX}`).forEach(key => localStorage.removeItem(key));
+  localStorage.removeItem('lastSessionId');
+};
+
+/**
+ * Conversation history kept in the browser's localStorage
+ * Sessions are stored under `history_<userId>_<sessionId>` as { updatedAt, pinned, readOnly, profileId, iv, data }, where data is
+ * the session's { title?, messages } encrypted with a key only this user can derive
+ * @param {Object} options - Store options
+ * @param {string} options.userId - Cognito user sub the history belongs to
+ * @param {number} [options.retentionDays] - Sessions idle for longer are deleted; 0 keeps them forever
+ * @returns {Object} History store (see ./index.js for the interface)
+ */
+export const createLocalHistoryStore = ({ userId, retentionDays = 0 }) => {
+  const prefix = `${HISTORY_PREFIX}${userId}_`;
+  let baseKey = null;
+  // Writes are chained so concurrent read-modify-write updates do not overwrite each other
+  let pendingWrites = Promise.resolve();
+
+  /**
+   * @returns {Promise<CryptoKey>} The user's base key, loaded once per store
+   */
+  const getKey = () => {
+    if (!baseKey) {
+      baseKey = getUserKey(userId);
+    }
+    return baseKey;
+  };
+
+  /**
+   * Queues a write after the ones already in progress
+   * @param {Function} task - Async function performing the write
+   * @returns {Promise<*>} Result of the task
+   */
+  const serialize = (task) => {
+    const result = pendingWrites.then(task);
+    pendingWrites = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Stored entry of the session, still encrypted
+   */
+  const readEntry = (sessionId) => JSON.parse(localStorage.getItem(`${prefix}${sessionId}`) || 'null');
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object>} Decrypted { title?, messages } of the session
+   */
+  const read = async (sessionId) => {
+    const entry = readEntry(sessionId);
+    if (!entry) {
+      return { messages: [] };
+    }
+    const session = await decryptJson(await getKey(), sessionId, entry);
+    // Sessions written before titles could be edited hold the bare message list
+    return Array.isArray(session) ? { messages: session } : session;
+  };
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @param {Object} session - { title?, messages } to store for the session
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.touch] - False to keep the last activity time, e.g. when renaming
+   */
+  const write = async (sessionId, session, { touch = true } = {}) => {
+    const previous = readEntry(sessionId);
+    const encrypted = await encryptJson(await getKey(), sessionId, session);
+    localStorage.setItem(`${prefix}${sessionId}`, JSON.stringify({
+      ...previous,
+      updatedAt: touch || !previous ? Date.now() : previous.updatedAt,
+      ...encrypted
+    }));
+  };
+
+  /**
+   * Stores flags such as pinned, readOnly and profileId next to the encrypted session
+   * They are not sensitive and stay readable without decrypting
+   * @param {string} sessionId - Session identifier
+   * @param {Object} flags - Flags to set
+   */
+  const writeFlags = (sessionId, flags) => {
+    const entry = readEntry(sessionId);
+    if (Object.keys(flags).length > 0 && entry) {
+      localStorage.setItem(`${prefix}${sessionId}`, JSON.stringify({ ...entry, ...flags }));
+    }
+  };
+
+  /**
+   * Deletes sessions idle for longer than the retention period
+   */
+  const applyRetention = () => serialize(async () => {
+    if (!retentionDays) {
+      return;
+    }
+    const cutoff = Date.now() - retentionDays * DAY_IN_MS;
+    keysWithPrefix(prefix).forEach(key => {
+      const { updatedAt = 0 } = JSON.parse(localStorage.getItem(key) || '{}');
+      if (updatedAt < cutoff) {
+        localStorage.removeItem(key);
+      }
+    });
+  });
+
+  return {
+    listSessions: async () => {
+      await applyRetention();
+      const sessionData = [];
+      for (const key of keysWithPrefix(prefix)) {
+        const sessionId = key.substring(prefix.length);
+        try {
+          const { title, messages } = await read(sessionId);
+          const { updatedAt, pinned, readOnly, profileId } = readEntry(sessionId);
+          messages.length > 0 && sessionData.push({
+            sessionId,
+            title: title || messages[0].text,
+            updatedAt: new Date(updatedAt).toISOString(),
+            pinned: !!pinned,
+            readOnly: !!readOnly,
+            profileId
+          });
+        } catch (error) {
+          console.error(`Error decrypting session ${sessionId}:`, error);
+        }
+      }
+      return sessionData;
+    },
+
+    fetchMessages: async (sessionId) => {
+      // Let pending writes land first so a reload shows the latest messages
+      await pendingWrites;
+      return (await read(sessionId)).messages;
+    },
+
+    createSession: (sessionId, details = {}) => serialize(async () => {
+      await write(sessionId, { messages: [] });
+      writeFlags(sessionId, details);
+    }),
+
+    appendMessages: (sessionId, newMessages) => serialize(async () => {
+      const session = await read(sessionId);
+      await write(sessionId, { ...session, messages: [...session.messages, ...newMessages] });
+    }),
+
+    updateMessage: (sessionId, messageId, changes) => serialize(async () => {
+      const session = await read(sessionId);
+      await write(sessionId, {
+        ...session,
+        messages: session.messages.map(message => (
+          message.id === messageId ? { ...message, ...changes } : message
+        ))
+      }, { touch: false });
+    }),
+
+    updateSession: (sessionId, { title, ...flags }) => serialize(async () => {
+      if (title !== undefined) {
+        await write(sessionId, { ...await read(sessionId), title }, { touch: false });
+      }
+      writeFlags(sessionId, flags);
+    }),
+
+    searchSessions: async (query) => {
+      await pendingWrites;
+      const results = [];
+      for (const key of keysWithPrefix(prefix)) {
+        const sessionId = key.substring(prefix.length);
+        try {
+          const match = findMatch((await read(sessionId)).messages, query);
+          match && results.push({ sessionId, ...match });
+        } catch (error) {
+          console.error(`Error decrypting session ${sessionId}:`, error);
+        }
+      }
+      return results;
+    },
+
+    deleteSession: (sessionId) => serialize(async () => {
+      localStorage.removeItem(`${prefix}${sessionId}`);
+    }),
+
+    purgeLocalData: () => serialize(async () => {
+      keysWithPrefix(prefix).forEach(key => localStorage.removeItem(key));
+      await deleteUserKey(userId);
+      baseKey = null;
+    })
+  };
+};
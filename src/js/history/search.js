@@ -0,0 +1,34 @@
+// Characters of context kept on each side of a search match
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Extracts the part of a text surrounding the first occurrence of the query, ignoring case
+ * @param {string} text - Text to search
+ * @param {string} query - Searched text
+ * @returns {string|null} Snippet around the match, or null if the text does not contain the query
+ */
+export const toSnippet = (text, query) => {
+  const index = (text || '').toLowerCase().indexOf(query.toLowerCase());
+  if (index < 0) {
+    return null;
+  }
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + query.length + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${text.substring(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Finds the first message of a session containing the query
+ * @param {Array<Object>} messages - Messages of the session
+ * @param {string} query - Searched text
+ * @returns {Object|null} { messageId, snippet } of the first match
+ */
+export const findMatch = (messages, query) => {
+  for (const message of messages) {
+    const snippet = toSnippet(message.text, query);
+    if (snippet) {
+      return { messageId: message.id, snippet };
+    }
+  }
+  return null;
+};
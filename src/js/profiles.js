@@ -0,0 +1,97 @@
+import { resolveProvider } from './providers';
+import { mergeConfig } from './defaultConfig';
+import { DEFAULT_RESPONSE_MAPPING } from './providers/responseMapping';
+import { DEFAULT_CONTEXT_WINDOW } from './conversationHistory';
+
+/**
+ * Agent profiles
+ *
+ * A profile holds the bedrock, strands and agentcore configuration sections of one agent, in the
+ * same shape as the application configuration used to, so provider adapters resolve and read a
+ * profile exactly like a single-agent configuration. The configuration keeps the list of profiles
+ * in `profiles` and the one used for new conversations in `activeProfileId`.
+ */
+
+// Identifier of the profile built from a configuration saved before profiles existed
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * @returns {Object} Agent configuration sections with no agent selected
+ */
+export const emptyAgentSections = () => ({
+  bedrock: {
+    agentName: '',
+    agentId: '',
+    agentAliasId: '',
+    region: ''
+  },
+  strands: {
+    enabled: false,
+    lambdaArn: '',
+    agentName: 'Strands Agent',
+    region: '',
+    // Use InvokeWithResponseStream instead of a buffered Invoke
+    responseStreaming: false,
+    responseMapping: { ...DEFAULT_RESPONSE_MAPPING },
+    // The function is stateless: recent turns are sent with each prompt
+    contextWindow: { ...DEFAULT_CONTEXT_WINDOW }
+  },
+  agentcore: {
+    enabled: false,
+    agentArn: '',
+    agentName: 'AgentCore Agent',
+    region: '',
+    // Runtimes keep their session state, so no history is sent unless configured
+    contextWindow: { ...DEFAULT_CONTEXT_WINDOW, mode: 'none' }
+  }
+});
+
+/**
+ * Creates a profile with empty agent sections
+ * @returns {Object} New profile
+ */
+export const createProfile = () => ({
+  id: `profile-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`,
+  ...emptyAgentSections()
+});
+
+/**
+ * Lists the agent profiles of a configuration
+ * Configurations saved before profiles existed hold one agent in their top-level sections, which becomes the only profile
+ * @param {Object} appConfig - Application configuration
+ * @returns {Array<Object>} Agent profiles
+ */
+export const getProfiles = (appConfig) => {
+  if (!appConfig) {
+    return [];
+  }
+  if (appConfig.profiles?.length > 0) {
+    // Profiles deployed in config.json may only list the fields of their agent
+    return appConfig.profiles.map(profile => mergeConfig(emptyAgentSections(), profile));
+  }
+  const { bedrock, strands, agentcore } = { ...emptyAgentSections(), ...appConfig };
+  return [{ id: DEFAULT_PROFILE_ID, bedrock, strands, agentcore }];
+};
+
+/**
+ * Finds a profile, falling back to the configuration's active profile, then to the first one
+ * @param {Object} appConfig - Application configuration
+ * @param {string} [profileId] - Requested profile
+ * @returns {Object|undefined} The matching profile
+ */
+export const findProfile = (appConfig, profileId) => {
+  const profiles = getProfiles(appConfig);
+  return profiles.find(profile => profile.id === profileId)
+    || profiles.find(profile => profile.id === appConfig?.activeProfileId)
+    || profiles[0];
+};
+
+/**
+ * @param {Object} profile - Agent profile
+ * @returns {string} Display name of the profile: its agent name, or the provider's label
+ */
+export const profileName = (profile) => {
+  const provider = resolveProvider(profile);
+  const agentName = provider?.getConfig(profile).agentName?.trim();
+  return agentName || provider?.label || 'Agent';
+};
@@ -0,0 +1,156 @@
+import { BedrockAgentCoreClient, InvokeAgentRuntimeCommand } from "@aws-sdk/client-bedrock-agentcore";
+import { readText, readLines, readStreamEvents, isLineDelimited } from './streamParsing';
+import { toContentEvents, createStreamConverter } from './contentBlocks';
+import { MalformedResponseError } from '../agentErrors';
+
+/**
+ * Provider adapter for Amazon Bedrock AgentCore runtimes
+ * Invokes the runtime with a JSON prompt payload and parses its response body as it arrives
+ */
+const agentCoreProvider = {
+  id: 'agentcore',
+  label: 'AgentCore Agent',
+  capabilities: {
+    // Event-stream responses are forwarded as they arrive
+    streaming: true,
+    traces: false,
+    // Runtimes without session memory can receive the conversation history, see contextWindow
+    history: true,
+    // Files are sent as base64 in the payload
+    attachments: true,
+    maxAttachmentsSize: 10 * 1024 * 1024
+  },
+
+  /**
+   * @param {Object} appConfig - Application configuration
+   * @returns {boolean} True if the AgentCore agent is enabled
+   */
+  isEnabled: (appConfig) => !!appConfig?.agentcore?.enabled,
+
+  /**
+   * @param {Object} appConfig - Application configuration
+   * @returns {Object} The AgentCore section of the configuration
+   */
+  getConfig: (appConfig) => appConfig.agentcore,
+
+  /**
+   * @param {Object} config - AgentCore configuration section
+   * @param {Object} credentials - AWS credentials from the Amplify auth session
+   * @returns {BedrockAgentCoreClient} Client for the region of the runtime
+   */
+  createClient: (config, credentials) => new BedrockAgentCoreClient({
+    region: config.region,
+    credentials
+  }),
+
+  /**
+   * Invokes the AgentCore runtime with the user prompt
+   * @param {BedrockAgentCoreClient} client - Client returned by createClient
+   * @param {Object} request - Request details
+   * @param {Object} request.config - AgentCore configuration section
+   * @param {string} request.sessionId - Chat session identifier, used as runtime session
+   * @param {string} request.text - User prompt
+   * @param {Array<Object>} [request.history] - Recent turns as { role, content }, sent unless empty
+   * @param {string} [request.summary] - Summary of the turns older than the history
+   * @param {Array<Object>} [request.attachments] - Files encoded by readAttachment
+   * @param {AbortSignal} [request.abortSignal] - Signal that cancels the request
+   * @returns {Promise<Object>} Raw InvokeAgentRuntime response
+   */
+  sendMessage: async (client, { config, sessionId, text, history, summary, attachments, abortSignal }) => {
+    const payload = {
+      prompt: text,
+      ...(history?.length > 0 && { history }),
+      ...(summary && { summary }),
+      ...(attachments?.length > 0 && {
+        attachments: attachments.map(({ name, mediaType, data }) => ({ name, mediaType, data }))
+      })
+    };
+
+    const command = new InvokeAgentRuntimeCommand({
+      agentRuntimeArn: config.agentArn,
+      runtimeSessionId: sessionId,
+      payload: JSON.stringify(payload)
+    });
+
+    return client.send(command, { abortSignal });
+  },
+
+  /**
+   * Checks that the runtime can be invoked with the client's credentials
+   * AgentCore has no dry run: a short prompt is sent in a throwaway session and only the response
+   * status is checked. The caller aborts the response body.
+   * @param {BedrockAgentCoreClient} client - Client returned by createClient
+   * @param {Object} request - Request details
+   * @param {Object} request.config - AgentCore configuration section
+   * @param {AbortSignal} [request.abortSignal] - Signal that cancels the request
+   */
+  testConnection: async (client, { config, abortSignal }) => {
+    await agentCoreProvider.sendMessage(client, {
+      config,
+      // Runtime session identifiers need at least 33 characters
+      sessionId: `connection-test-${crypto.randomUUID()}`,
+      text: 'Connection test',
+      abortSignal
+    });
+  },
+
+  /**
+   * Reads the runtime response body by content type
+   * Event-stream and NDJSON bodies are parsed line by line as they arrive; JSON bodies are parsed once
+   * complete and plain text bodies are shown as they are. Content blocks are converted by toContentEvents, streamed
+   * events by createStreamConverter.
+   * Starts with a { type: 'metadata', metadata: { runtimeSessionId, traceId } } event identifying the invocation.
+   * @param {Object} response - Response returned by sendMessage
+   * @throws {MalformedResponseError} If a JSON body cannot be parsed, or a response has nothing to show
+   */
+  streamEvents: async function* (response) {
+    if (response.runtimeSessionId || response.traceId) {
+      yield {
+        type: 'metadata',
+        metadata: {
+          ...(response.runtimeSessionId && { runtimeSessionId: response.runtimeSessionId }),
+          ...(response.traceId && { traceId: response.traceId })
+        }
+      };
+    }
+
+    if (isLineDelimited(response.contentType)) {
+      const convert = createStreamConverter();
+      let hasContent = false;
+      for await (const event of readStreamEvents(readLines(readText(response.response)))) {
+        const events = convert(event);
+        hasContent = hasContent || events.length > 0;
+        yield* events;
+      }
+      if (!hasContent) {
+        throw new MalformedResponseError('The AgentCore stream ended without text or content blocks this application can show');
+      }
+      return;
+    }
+
+    let responseBody = '';
+    for await (const fragment of readText(response.response)) {
+      responseBody += fragment;
+    }
+
+    console.log('AgentCore raw response:', responseBody);
+
+    let parsedResponse;
+    try {
+      parsedResponse = JSON.parse(responseBody);
+    } catch (error) {
+      if (/json/i.test(response.contentType || '')) {
+        throw new MalformedResponseError('The AgentCore runtime did not return valid JSON', error);
+      }
+      // Runtimes may answer with plain text
+      parsedResponse = responseBody;
+    }
+    const events = toContentEvents(parsedResponse);
+    if (events.length === 0 && responseBody.trim()) {
+      throw new MalformedResponseError('The AgentCore response has no text or content blocks this application can show');
+    }
+    yield* events;
+  }
+};
+
+export default agentCoreProvider;
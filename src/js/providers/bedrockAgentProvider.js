@@ -0,0 +1,237 @@
+import { fetchAuthSession } from 'aws-amplify/auth';
+import { BedrockAgentRuntimeClient, InvokeAgentCommand } from "@aws-sdk/client-bedrock-agent-runtime";
+import { fromBedrockCitations } from '../citations';
+import { base64ToBytes, bytesToBase64 } from '../attachments';
+import { AgentFailureError } from '../agentErrors';
+
+/**
+ * Normalizes a returnControl event into the invocations the user has to answer
+ * @param {Object} returnControl - returnControl payload of the completion stream
+ * @returns {Object} { invocationId, invocations: [{ kind, actionGroup, operation, parameters, ... }] }
+ */
+const toReturnControl = (returnControl) => ({
+  invocationId: returnControl.invocationId,
+  invocations: (returnControl.invocationInputs || []).map(input => {
+    const invocation = input.apiInvocationInput || input.functionInvocationInput || {};
+    const requestBodyParameters = Object.values(invocation.requestBody?.content || {})
+      .flatMap(content => content.properties || []);
+    const invocationType = invocation.actionInvocationType || 'RESULT';
+    return {
+      kind: input.apiInvocationInput ? 'api' : 'function',
+      actionGroup: invocation.actionGroup,
+      apiPath: invocation.apiPath,
+      httpMethod: invocation.httpMethod,
+      function: invocation.function,
+      parameters: [...(invocation.parameters || []), ...requestBodyParameters]
+        .map(({ name, type, value }) => ({ name, type, value })),
+      // The agent asks the user to approve or deny the call before running it
+      requiresConfirmation: invocationType.startsWith('USER_CONFIRMATION'),
+      // The agent expects the user (not the action group) to supply the result
+      requiresResult: invocationType === 'RESULT' || invocationType === 'USER_CONFIRMATION_AND_RESULT'
+    };
+  })
+});
+
+/**
+ * Formats a result typed by the user as the JSON body of an API result
+ * @param {string} body - Result text, e.g. an API response pasted by the user or the denial message
+ * @returns {string} The text if it is a JSON object or array, otherwise the text wrapped as { result }
+ */
+const toJsonBody = (body) => {
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed && typeof parsed === 'object') {
+      return body;
+    }
+  } catch {
+    // Free text
+  }
+  return JSON.stringify({ result: body });
+};
+
+/**
+ * Builds the sessionState.returnControlInvocationResults sent back to the agent
+ * @param {Object} returnControl - Normalized return-of-control request
+ * @param {Array<Object>} results - { confirmationState, body } for each invocation
+ * @returns {Array<Object>} InvocationResultMember list
+ */
+const toInvocationResults = (returnControl, results) => returnControl.invocations.map((invocation, index) => {
+  const { confirmationState, body } = results[index] || {};
+  // Function results are keyed by TEXT, API results by the content type of the body
+  const responseBody = invocation.kind === 'api'
+    ? { 'application/json': { body: toJsonBody(body) } }
+    : { TEXT: { body } };
+  const result = {
+    actionGroup: invocation.actionGroup,
+    ...(confirmationState && { confirmationState }),
+    ...(body && { responseBody })
+  };
+  if (invocation.kind === 'api') {
+    return { apiResult: { ...result, apiPath: invocation.apiPath, httpMethod: invocation.httpMethod } };
+  }
+  return { functionResult: { ...result, function: invocation.function } };
+});
+
+/**
+ * Provider adapter for Amazon Bedrock Agents
+ * Invokes an agent alias through InvokeAgentCommand and streams its completion
+ */
+const bedrockAgentProvider = {
+  id: 'bedrock',
+  label: 'Bedrock Agent',
+  capabilities: {
+    // Completion arrives as a stream of chunk events
+    streaming: true,
+    // Orchestration traces are emitted alongside the completion
+    traces: true,
+    // Chunks carry knowledge base citations
+    citations: true,
+    // Action groups can hand control back to the user for confirmation or results
+    returnControl: true,
+    // Files are sent through sessionState.files and the agent can return files
+    attachments: true,
+    // InvokeAgent accepts up to 10 MB of files
+    maxAttachmentsSize: 10 * 1024 * 1024
+  },
+
+  /**
+   * Bedrock is the default agent type, used whenever a configuration exists for it
+   * @param {Object} appConfig - Application configuration
+   * @returns {boolean} True if this provider can serve the configuration
+   */
+  isEnabled: (appConfig) => !!appConfig?.bedrock,
+
+  /**
+   * @param {Object} appConfig - Application configuration
+   * @returns {Object} The Bedrock section of the configuration
+   */
+  getConfig: (appConfig) => appConfig.bedrock,
+
+  /**
+   * @param {Object} config - Bedrock configuration section
+   * @param {Object} credentials - AWS credentials from the Amplify auth session
+   * @returns {BedrockAgentRuntimeClient} Client for the configured region
+   */
+  createClient: (config, credentials) => new BedrockAgentRuntimeClient({
+    region: config.region,
+    credentials
+  }),
+
+  /**
+   * Sends the user prompt to the agent alias
+   * @param {BedrockAgentRuntimeClient} client - Client returned by createClient
+   * @param {Object} request - Request details
+   * @param {Object} request.config - Bedrock configuration section
+   * @param {string} request.sessionId - Chat session identifier
+   * @param {string} request.text - User prompt
+   * @param {Object} [request.returnControl] - Return-of-control request being answered
+   * @param {Array<Object>} [request.returnControlResults] - User answers for each of its invocations
+   * @param {Array<Object>} [request.attachments] - Files encoded by readAttachment
+   * @param {AbortSignal} [request.abortSignal] - Signal that cancels the request
+   * @returns {Promise<Object>} Raw InvokeAgent response
+   */
+  sendMessage: async (client, { config, sessionId, text, returnControl, returnControlResults, attachments, abortSignal }) => {
+    const sessionAttributes = {
+      aws_session: await fetchAuthSession()
+    };
+
+    const sessionState = {
+      ...(returnControl && {
+        invocationId: returnControl.invocationId,
+        returnControlInvocationResults: toInvocationResults(returnControl, returnControlResults)
+      }),
+      ...(attachments?.length > 0 && {
+        files: attachments.map(attachment => ({
+          name: attachment.name,
+          source: {
+            sourceType: 'BYTE_CONTENT',
+            byteContent: {
+              mediaType: attachment.mediaType,
+              data: base64ToBytes(attachment.data)
+            }
+          },
+          useCase: attachment.useCase
+        }))
+      })
+    };
+
+    const command = new InvokeAgentCommand({
+      agentId: config.agentId,
+      agentAliasId: config.agentAliasId,
+      sessionId: sessionId,
+      endSession: false,
+      enableTrace: true,
+      // Input text is optional when returning control results
+      inputText: returnControl ? undefined : text,
+      promptSessionAttributes: sessionAttributes,
+      ...(Object.keys(sessionState).length > 0 && { sessionState })
+    });
+
+    return client.send(command, { abortSignal });
+  },
+
+  /**
+   * Checks that the agent alias can be invoked with the client's credentials
+   * Bedrock Agents have no dry run: a short prompt is sent in a throwaway session and the response
+   * is read up to its first event, which surfaces errors raised once the agent starts, such as
+   * missing model access. The caller aborts the rest of the response.
+   * @param {BedrockAgentRuntimeClient} client - Client returned by createClient
+   * @param {Object} request - Request details
+   * @param {Object} request.config - Bedrock configuration section
+   * @param {AbortSignal} [request.abortSignal] - Signal that cancels the request
+   */
+  testConnection: async (client, { config, abortSignal }) => {
+    const response = await bedrockAgentProvider.sendMessage(client, {
+      config,
+      sessionId: `connection-test-${crypto.randomUUID()}`,
+      text: 'Connection test',
+      abortSignal
+    });
+    await bedrockAgentProvider.streamEvents(response).next();
+  },
+
+  /**
+   * Converts the completion stream into provider-neutral events
+   * Yields { type: 'trace', trace }, { type: 'chunk', text, citations }, { type: 'returnControl', returnControl }
+   * and { type: 'files', files } events
+   * @param {Object} response - Response returned by sendMessage
+   * @throws {Error} When the completion is missing or the agent reports a failure trace
+   */
+  streamEvents: async function* (response) {
+    if (response.completion === undefined) {
+      throw new Error("Completion is undefined");
+    }
+
+    const decoder = new TextDecoder("utf-8");
+    for await (const chunkEvent of response.completion) {
+      if (chunkEvent.trace) {
+        console.log("Trace: ", chunkEvent.trace);
+        // Forward the failure trace first so it is recorded before the error surfaces
+        yield { type: 'trace', trace: chunkEvent.trace.trace };
+        if (typeof (chunkEvent.trace.trace?.failureTrace) !== 'undefined') {
+          throw new AgentFailureError(chunkEvent.trace.trace.failureTrace.failureReason);
+        }
+      } else if (chunkEvent.chunk) {
+        yield {
+          type: 'chunk',
+          text: decoder.decode(chunkEvent.chunk.bytes),
+          citations: fromBedrockCitations(chunkEvent.chunk.attribution?.citations)
+        };
+      } else if (chunkEvent.returnControl) {
+        yield { type: 'returnControl', returnControl: toReturnControl(chunkEvent.returnControl) };
+      } else if (chunkEvent.files) {
+        yield {
+          type: 'files',
+          files: (chunkEvent.files.files || []).map(file => ({
+            name: file.name,
+            mediaType: file.type || 'application/octet-stream',
+            size: file.bytes?.length || 0,
+            data: file.bytes ? bytesToBase64(file.bytes) : ''
+          }))
+        };
+      }
+    }
+  }
+};
+
+export default bedrockAgentProvider;
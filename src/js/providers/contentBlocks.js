@@ -0,0 +1,215 @@
+import { extractEventText } from './streamParsing';
+import { toolUseStep, toolResultStep } from '../traceSteps';
+import { bytesToBase64 } from '../attachments';
+
+/**
+ * Conversion of agent messages made of content blocks into provider events
+ * Understands the Bedrock Converse shape used by Strands agents ({ text }, { image }, { toolUse },
+ * { toolResult }, { document }) and the Anthropic shape ({ type: 'text' | 'image' | 'tool_use' | 'tool_result' }).
+ */
+
+/**
+ * Finds the content blocks of a response payload
+ * @param {*} payload - Parsed response or event
+ * @returns {Array<Object>|undefined} Content blocks, or undefined if the payload has none
+ */
+const findContentBlocks = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return undefined;
+  }
+  const candidates = [
+    payload.result?.content,
+    payload.result?.message?.content,
+    payload.output?.message?.content,
+    payload.message?.content,
+    payload.content
+  ];
+  return candidates.find(Array.isArray);
+};
+
+/**
+ * @param {string|Array<number>|Uint8Array} bytes - Bytes serialized as base64 or as an array of numbers
+ * @returns {string} Base64 data, empty if the bytes cannot be read
+ */
+const toBase64 = (bytes) => {
+  if (typeof bytes === 'string') {
+    return bytes;
+  }
+  if (Array.isArray(bytes) || bytes instanceof Uint8Array) {
+    return bytesToBase64(Uint8Array.from(bytes));
+  }
+  return '';
+};
+
+/**
+ * Builds a file, as rendered by AttachmentsComponent, from a media block
+ * @param {string} name - File name
+ * @param {string} mediaType - MIME type
+ * @param {string} data - Base64 content
+ * @returns {Object|undefined} { name, mediaType, size, data }, or undefined without content
+ */
+const toFile = (name, mediaType, data) => (data ? {
+  name,
+  mediaType,
+  // Approximate decoded size of the base64 content
+  size: Math.floor(data.length * 3 / 4),
+  data
+} : undefined);
+
+/**
+ * @param {*} content - Content of a tool result block: a string or a list of blocks
+ * @returns {string} The result as text
+ */
+const toolResultText = (content) => {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (Array.isArray(content) ? content : [content])
+    .map(block => (typeof block?.text === 'string' ? block.text : JSON.stringify(block?.json ?? block)))
+    .join('\n');
+};
+
+/**
+ * Converts one content block into its part of the message
+ * @param {Object} block - Content block
+ * @param {number} index - Position of the block, used to name files
+ * @returns {Object} { text } | { file } | { step }, or an empty object for blocks that are not shown
+ */
+const convertBlock = (block, index) => {
+  if (typeof block?.text === 'string' && (!block.type || block.type === 'text')) {
+    return { text: block.text };
+  }
+  if (block?.image) {
+    const format = block.image.format || 'png';
+    return { file: toFile(`image-${index + 1}.${format}`, `image/${format}`, toBase64(block.image.source?.bytes)) };
+  }
+  if (block?.type === 'image' && block.source?.type === 'base64') {
+    const mediaType = block.source.media_type || 'image/png';
+    return { file: toFile(`image-${index + 1}.${mediaType.split('/')[1]}`, mediaType, block.source.data) };
+  }
+  if (block?.document) {
+    const format = block.document.format || 'txt';
+    const name = block.document.name ? `${block.document.name}.${format}` : `document-${index + 1}.${format}`;
+    return { file: toFile(name, format === 'pdf' ? 'application/pdf' : 'application/octet-stream', toBase64(block.document.source?.bytes)) };
+  }
+  if (block?.toolUse) {
+    return { step: toolUseStep(block.toolUse.name, block.toolUse.input) };
+  }
+  if (block?.type === 'tool_use') {
+    return { step: toolUseStep(block.name, block.input) };
+  }
+  if (block?.toolResult) {
+    return { step: toolResultStep(toolResultText(block.toolResult.content), block.toolResult.status === 'error') };
+  }
+  if (block?.type === 'tool_result') {
+    return { step: toolResultStep(toolResultText(block.content), !!block.is_error) };
+  }
+  return {};
+};
+
+/**
+ * Converts a complete response payload into provider events
+ * All text blocks are concatenated into one chunk; images and documents become a files event and
+ * tool calls and results a steps event holding trace steps
+ * @param {*} payload - Parsed response, or plain text
+ * @returns {Array<Object>} { type: 'chunk' | 'files' | 'steps', ... } events
+ */
+export const toContentEvents = (payload) => {
+  const blocks = findContentBlocks(payload);
+  if (!blocks) {
+    const text = extractEventText(payload);
+    return text ? [{ type: 'chunk', text }] : [];
+  }
+
+  const parts = blocks.map(convertBlock);
+  const text = parts.filter(part => part.text).map(part => part.text).join('\n\n');
+  const files = parts.map(part => part.file).filter(Boolean);
+  const steps = parts.map(part => part.step).filter(Boolean);
+  return [
+    ...(text ? [{ type: 'chunk', text }] : []),
+    ...(files.length > 0 ? [{ type: 'files', files }] : []),
+    ...(steps.length > 0 ? [{ type: 'steps', steps }] : [])
+  ];
+};
+
+/**
+ * @param {Object} payload - Streamed event with content blocks, result or output
+ * @returns {string} Kind of aggregate event: 'message', 'result', 'output' or 'content'
+ */
+const aggregateKind = (payload) => {
+  if (payload.message !== undefined) {
+    return 'message';
+  }
+  if (payload.result !== undefined) {
+    return 'result';
+  }
+  return payload.output !== undefined ? 'output' : 'content';
+};
+
+/**
+ * Creates the converter of the events of a line-delimited response
+ * Streams may send text deltas and tool starts, then aggregate events ({ message }, { result }, { output })
+ * repeating what the deltas carried. The kind of text seen first is used for the rest of the stream: Strands
+ * sends each delta twice, as a raw contentBlockDelta event and as data, and closes with a result repeating its
+ * last message. Aggregate events therefore only add their text when no delta came first; their tool results,
+ * which arrive no other way, are always kept, and their tool calls unless tool starts announced them.
+ * @returns {Function} Converts one parsed event, or plain text, into { type: 'chunk' | 'files' | 'steps', ... } events
+ */
+export const createStreamConverter = () => {
+  // 'contentBlockDelta', 'text' or an aggregate kind, whichever kind of text the stream carried first
+  let textKind = null;
+  let hasText = false;
+  let hasToolStarts = false;
+
+  /**
+   * @param {string} kind - Kind of text of the event
+   * @param {string} text - Text of the event
+   * @param {string} [separator] - Placed before the text if some text was already emitted
+   * @returns {Array<Object>} The chunk event, or nothing if the stream carries another kind of text
+   */
+  const toChunk = (kind, text, separator = '') => {
+    if (!text || (textKind && kind !== textKind)) {
+      return [];
+    }
+    textKind = kind;
+    const chunk = { type: 'chunk', text: hasText ? `${separator}${text}` : text };
+    hasText = true;
+    return [chunk];
+  };
+
+  return (payload) => {
+    if (typeof payload === 'string') {
+      return toChunk('text', payload);
+    }
+    if (!payload || typeof payload !== 'object') {
+      return [];
+    }
+
+    // Streamed tool calls only announce the tool when they start
+    const toolStart = payload.event?.contentBlockStart?.start?.toolUse;
+    if (toolStart) {
+      hasToolStarts = true;
+      return [{ type: 'steps', steps: [toolUseStep(toolStart.name)] }];
+    }
+
+    const blocks = findContentBlocks(payload);
+    if (blocks || payload.result !== undefined || payload.output !== undefined) {
+      const events = toContentEvents(payload);
+      const chunk = events.find(event => event.type === 'chunk');
+      const steps = (blocks || [])
+        .filter(block => block?.toolResult || block?.type === 'tool_result'
+          || (!hasToolStarts && (block?.toolUse || block?.type === 'tool_use')))
+        .map((block, index) => convertBlock(block, index).step);
+      const kind = aggregateKind(payload);
+      const isTextSource = !textKind || textKind === kind;
+      return [
+        ...(chunk ? toChunk(kind, chunk.text, '\n\n') : []),
+        ...(isTextSource ? events.filter(event => event.type === 'files') : []),
+        ...(steps.length > 0 ? [{ type: 'steps', steps }] : [])
+      ];
+    }
+
+    const delta = payload.event?.contentBlockDelta?.delta?.text;
+    return typeof delta === 'string' ? toChunk('contentBlockDelta', delta) : toChunk('text', extractEventText(payload));
+  };
+};
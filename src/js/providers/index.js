@@ -0,0 +1,57 @@
+import bedrockAgentProvider from './bedrockAgentProvider';
+import strandsProvider from './strandsProvider';
+import agentCoreProvider from './agentCoreProvider';
+
+/**
+ * Registry of agent provider adapters
+ *
+ * Every provider exposes the same interface:
+ * - id, label: identifier stored in configuration and display name
+ * - capabilities: flags describing optional features (streaming, traces, citations, returnControl, attachments, history);
+ *   providers with attachments may set maxAttachmentsSize, the combined base64 size of the files of a message
+ * - isEnabled(appConfig): whether the configuration selects this provider
+ * - getConfig(appConfig): the provider's section of the configuration
+ * - createClient(config, credentials): the AWS SDK client for the provider
+ * - sendMessage(client, { config, sessionId, text, abortSignal, ... }): invokes the agent;
+ *   providers with returnControl also accept { returnControl, returnControlResults },
+ *   providers with attachments accept { attachments } as encoded by js/attachments.readAttachment,
+ *   providers with history accept { user, history, summary } built with the contextWindow of their configuration
+ *   (see js/conversationHistory)
+ * - streamEvents(response): async generator of { type: 'chunk' | 'trace' | 'returnControl' | 'files' | 'steps' | 'metadata', ... } events;
+ *   chunk events may carry citations as { start, end, references } relative to the chunk text, steps events carry
+ *   trace steps already built with js/traceSteps, and metadata events identifiers of the invocation to keep on the message
+ * - testConnection(client, { config, abortSignal }): optional; resolves if the agent can be invoked, without
+ *   running a full conversation turn where the service allows it
+ *
+ * Providers are checked in order, so more specific ones come before the default Bedrock agent.
+ */
+const providers = [agentCoreProvider, strandsProvider, bedrockAgentProvider];
+
+/**
+ * Adds a provider ahead of the built-in ones
+ * @param {Object} provider - Provider adapter implementing the interface above
+ */
+export const registerProvider = (provider) => {
+  if (providers.some(p => p.id === provider.id)) {
+    throw new Error(`Provider "${provider.id}" is already registered`);
+  }
+  providers.unshift(provider);
+};
+
+/**
+ * @param {string} id - Provider identifier
+ * @returns {Object|undefined} The provider with the given identifier
+ */
+export const getProvider = (id) => providers.find(p => p.id === id);
+
+/**
+ * @returns {Array<Object>} All registered providers
+ */
+export const listProviders = () => [...providers];
+
+/**
+ * Picks the provider selected by the application configuration
+ * @param {Object} appConfig - Application configuration
+ * @returns {Object|undefined} The first provider enabled by the configuration
+ */
+export const resolveProvider = (appConfig) => providers.find(p => p.isEnabled(appConfig));
@@ -0,0 +1,99 @@
+import { extractEventText } from './streamParsing';
+import { AgentFailureError, MalformedResponseError } from '../agentErrors';
+
+/**
+ * Mapping of agent response payloads to message text, citations and errors
+ * Each field of a mapping is a JSON path such as `output.message`, `$.result.content[0].text` or
+ * `data.sources`; an empty path leaves the field unmapped.
+ */
+
+// Mapping used when a Strands agent does not configure one: { "response": "...", "error": "..." }
+export const DEFAULT_RESPONSE_MAPPING = {
+  text: 'response',
+  citations: 'citations',
+  error: 'error'
+};
+
+// Property names separated by dots, each optionally followed by array indexes, e.g. $.result.content[0].text
+const PATH_PATTERN = /^(\$\.?)?[A-Za-z_$][\w$-]*(\[\d+\])*(\.[A-Za-z_$][\w$-]*(\[\d+\])*)*$/;
+
+/**
+ * @param {string} path - JSON path typed in the configuration
+ * @returns {boolean} True if the path is empty or can be read by readPath
+ */
+export const isValidPath = (path) => !path?.trim() || PATH_PATTERN.test(path.trim());
+
+/**
+ * Reads the value at a JSON path
+ * Strings holding JSON along the way, such as the `body` of a Lambda proxy response, are parsed
+ * @param {*} value - Parsed payload
+ * @param {string} path - JSON path, see isValidPath
+ * @returns {*} Value found, or undefined
+ */
+export const readPath = (value, path) => {
+  if (!path?.trim()) {
+    return undefined;
+  }
+  const keys = path.trim().replace(/^\$\.?/, '').split(/\.|\[(\d+)\]/).filter(Boolean);
+  return keys.reduce((current, key) => {
+    let container = current;
+    if (typeof container === 'string') {
+      try {
+        container = JSON.parse(container);
+      } catch {
+        return undefined;
+      }
+    }
+    return container == null ? undefined : container[key];
+  }, value);
+};
+
+/**
+ * Unwraps a Lambda proxy response, whose result is a JSON string in `body`
+ * @param {*} payload - Parsed Lambda payload
+ * @returns {*} The parsed body, or the payload itself
+ */
+const unwrapBody = (payload) => {
+  if (typeof payload?.body !== 'string') {
+    return payload;
+  }
+  try {
+    return JSON.parse(payload.body);
+  } catch (error) {
+    throw new MalformedResponseError('The body returned by the Lambda function is not JSON', error);
+  }
+};
+
+/**
+ * @param {*} error - Value found at the error path
+ * @returns {string} Message describing the error
+ */
+const errorMessage = (error) => {
+  if (typeof error === 'string') {
+    return error;
+  }
+  return error.message || error.errorMessage || JSON.stringify(error);
+};
+
+/**
+ * Applies a response mapping to a parsed payload
+ * Text falls back to the shapes understood by extractEventText when the text path finds nothing
+ * @param {*} payload - Parsed response, or one parsed event of a streamed response
+ * @param {Object} [mapping] - { text, citations, error } JSON paths, merged over DEFAULT_RESPONSE_MAPPING
+ * @returns {Object} { text, citations } where citations is the raw array found, if any
+ * @throws {AgentFailureError} If the payload carries an error at the error path
+ */
+export const mapResponse = (payload, mapping) => {
+  const paths = { ...DEFAULT_RESPONSE_MAPPING, ...mapping };
+  const result = unwrapBody(payload);
+
+  const error = readPath(result, paths.error);
+  if (error) {
+    throw new AgentFailureError(errorMessage(error));
+  }
+
+  const mappedText = readPath(result, paths.text);
+  const text = mappedText === undefined ? extractEventText(result) : extractEventText(mappedText);
+  const citations = readPath(result, paths.citations);
+  return { text, citations: Array.isArray(citations) ? citations : [] };
+};
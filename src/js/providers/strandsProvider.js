@@ -0,0 +1,196 @@
+import { LambdaClient, InvokeCommand, InvokeWithResponseStreamCommand } from "@aws-sdk/client-lambda";
+import { AgentFailureError, MalformedResponseError } from '../agentErrors';
+import { fromResponseSources } from '../citations';
+import { readText, readLines, readStreamEvents, isLineDelimited } from './streamParsing';
+import { mapResponse } from './responseMapping';
+
+/**
+ * @param {string} responseBody - Decoded Lambda payload
+ * @returns {*} Parsed payload
+ * @throws {MalformedResponseError} If the payload is not JSON
+ */
+const parsePayload = (responseBody) => {
+  try {
+    return JSON.parse(responseBody);
+  } catch (error) {
+    throw new MalformedResponseError('The Lambda function did not return JSON', error);
+  }
+};
+
+/**
+ * Reads the bytes written by a streaming Lambda function
+ * @param {AsyncIterable<Object>} eventStream - EventStream of an InvokeWithResponseStream response
+ * @throws {AgentFailureError} If the function failed while streaming
+ */
+async function* payloadChunks(eventStream) {
+  for await (const event of eventStream) {
+    if (event.PayloadChunk?.Payload) {
+      yield event.PayloadChunk.Payload;
+    } else if (event.InvokeComplete?.ErrorCode) {
+      const { ErrorCode, ErrorDetails } = event.InvokeComplete;
+      throw new AgentFailureError(ErrorDetails ? `${ErrorCode}: ${ErrorDetails}` : ErrorCode);
+    }
+  }
+}
+
+/**
+ * Builds the chunk event of a mapped response
+ * @param {Object} mapped - Result of mapResponse
+ * @param {boolean} [isComplete] - True if the mapped response is the whole answer, which must then have text
+ * @returns {Object} { type: 'chunk', text, citations }
+ * @throws {MalformedResponseError} If a complete response has no text
+ */
+const toChunk = ({ text, citations }, isComplete = false) => {
+  if (isComplete && !text) {
+    throw new MalformedResponseError('The response has no text. Check the response mapping of the Strands agent.');
+  }
+  return { type: 'chunk', text, citations: fromResponseSources(citations, text.length) };
+};
+
+/**
+ * Provider adapter for Strands agents hosted on AWS Lambda
+ * Invokes the function synchronously, or with response streaming when `responseStreaming` is set, and
+ * reads its response with the JSON paths of `responseMapping` (see responseMapping.js)
+ */
+const strandsProvider = {
+  id: 'strands',
+  label: 'Strands Agent',
+  capabilities: {
+    // Response streaming is chosen per agent with responseStreaming
+    streaming: false,
+    traces: false,
+    // The function keeps no session state: the conversation history is sent with each request
+    history: true,
+    // Files are sent as base64 in the payload
+    attachments: true,
+    // Synchronous invocations accept 6 MB of payload; the rest is left for the prompt and history
+    maxAttachmentsSize: 5 * 1024 * 1024
+  },
+
+  /**
+   * @param {Object} appConfig - Application configuration
+   * @returns {boolean} True if the Strands agent is enabled
+   */
+  isEnabled: (appConfig) => !!appConfig?.strands?.enabled,
+
+  /**
+   * @param {Object} appConfig - Application configuration
+   * @returns {Object} The Strands section of the configuration
+   */
+  getConfig: (appConfig) => appConfig.strands,
+
+  /**
+   * @param {Object} config - Strands configuration section
+   * @param {Object} credentials - AWS credentials from the Amplify auth session
+   * @returns {LambdaClient} Client for the region of the Lambda function
+   */
+  createClient: (config, credentials) => new LambdaClient({
+    region: config.region,
+    credentials
+  }),
+
+  /**
+   * Invokes the Strands Lambda function with the user prompt
+   * The payload carries { query, sessionId, user, history, summary, attachments }, so the function needs no session store
+   * @param {LambdaClient} client - Client returned by createClient
+   * @param {Object} request - Request details
+   * @param {Object} request.config - Strands configuration section
+   * @param {string} request.sessionId - Conversation identifier
+   * @param {string} request.text - User prompt
+   * @param {Object} [request.user] - Signed in user as { userId, username }; informational only, as any caller can
+   *   send another one. The function must read the caller's identity from its invocation context.
+   * @param {Array<Object>} [request.history] - Recent turns as { role, content }, oldest first
+   * @param {string} [request.summary] - Summary of the turns older than the history
+   * @param {Array<Object>} [request.attachments] - Files encoded by readAttachment
+   * @param {AbortSignal} [request.abortSignal] - Signal that cancels the request
+   * @returns {Promise<Object>} Raw Lambda Invoke or InvokeWithResponseStream response
+   */
+  sendMessage: async (client, { config, sessionId, text, user, history, summary, attachments, abortSignal }) => {
+    // Prepare payload for Lambda function
+    const payload = {
+      query: text,
+      sessionId,
+      ...(user && { user }),
+      history: history || [],
+      ...(summary && { summary }),
+      ...(attachments?.length > 0 && {
+        attachments: attachments.map(({ name, mediaType, data }) => ({ name, mediaType, data }))
+      })
+    };
+
+    const command = config.responseStreaming
+      ? new InvokeWithResponseStreamCommand({
+        FunctionName: config.lambdaArn,
+        Payload: JSON.stringify(payload),
+        InvocationType: 'RequestResponse'
+      })
+      : new InvokeCommand({
+        FunctionName: config.lambdaArn,
+        Payload: JSON.stringify(payload),
+        InvocationType: 'RequestResponse'
+      });
+
+    const response = await client.send(command, { abortSignal });
+    // The mapping is needed to read the response
+    return { ...response, responseMapping: config.responseMapping };
+  },
+
+  /**
+   * Checks that the function exists and can be invoked with the client's credentials, without running it
+   * @param {LambdaClient} client - Client returned by createClient
+   * @param {Object} request - Request details
+   * @param {Object} request.config - Strands configuration section
+   * @param {AbortSignal} [request.abortSignal] - Signal that cancels the request
+   */
+  testConnection: async (client, { config, abortSignal }) => {
+    await client.send(new InvokeCommand({
+      FunctionName: config.lambdaArn,
+      InvocationType: 'DryRun'
+    }), { abortSignal });
+  },
+
+  /**
+   * Extracts the response text, citations and errors from the Lambda payload with the configured mapping
+   * Buffered responses yield a single chunk; streamed responses yield a chunk per event, or per fragment of raw text
+   * @param {Object} response - Response returned by sendMessage
+   * @throws {AgentFailureError} If the function failed or its response carries an error
+   * @throws {MalformedResponseError} If the response cannot be read
+   */
+  streamEvents: async function* (response) {
+    const mapping = response.responseMapping;
+
+    if (response.EventStream) {
+      const fragments = readText(payloadChunks(response.EventStream));
+      if (isLineDelimited(response.ResponseStreamContentType)) {
+        for await (const event of readStreamEvents(readLines(fragments))) {
+          yield toChunk(typeof event === 'string' ? { text: event, citations: [] } : mapResponse(event, mapping));
+        }
+      } else if (/json/i.test(response.ResponseStreamContentType || '')) {
+        let responseBody = '';
+        for await (const fragment of fragments) {
+          responseBody += fragment;
+        }
+        yield toChunk(mapResponse(parsePayload(responseBody), mapping), true);
+      } else {
+        // Raw text written by the handler as the agent generates it
+        for await (const fragment of fragments) {
+          yield { type: 'chunk', text: fragment };
+        }
+      }
+      return;
+    }
+
+    const parsedResponse = parsePayload(new TextDecoder().decode(response.Payload));
+    console.log('Lambda response:', parsedResponse);
+
+    if (response.FunctionError) {
+      // Unhandled exceptions are returned as { errorType, errorMessage, stackTrace }
+      const { errorType, errorMessage } = parsedResponse || {};
+      throw new AgentFailureError(errorType ? `${errorType}: ${errorMessage}` : (errorMessage || response.FunctionError));
+    }
+
+    yield toChunk(mapResponse(parsedResponse, mapping), true);
+  }
+};
+
+export default strandsProvider;
@@ -0,0 +1,172 @@
+/**
+ * Helpers for incrementally parsing streamed agent responses
+ * Used by providers whose response body arrives as Server-Sent Events or newline-delimited JSON
+ */
+
+/**
+ * Reads a byte stream and yields it as decoded text fragments
+ * Accepts a web ReadableStream, an async iterable of bytes, or an already decoded string
+ * @param {ReadableStream|AsyncIterable<Uint8Array>|string} body - Response body
+ */
+export async function* readText(body) {
+  if (!body) {
+    return;
+  }
+  if (typeof body === 'string') {
+    yield body;
+    return;
+  }
+
+  const decoder = new TextDecoder();
+  if (body.getReader) {
+    const reader = body.getReader();
+    let done = false;
+    while (!done) {
+      const { value, done: streamDone } = await reader.read();
+      done = streamDone;
+      if (value) {
+        yield decoder.decode(value, { stream: true });
+      }
+    }
+  } else if (body[Symbol.asyncIterator]) {
+    for await (const value of body) {
+      yield decoder.decode(value, { stream: true });
+    }
+  } else {
+    yield decoder.decode(body);
+    return;
+  }
+
+  const rest = decoder.decode();
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Splits decoded text fragments into complete lines
+ * A trailing line without a newline is yielded once the stream ends
+ * @param {AsyncIterable<string>} fragments - Text fragments, e.g. from readText
+ */
+export async function* readLines(fragments) {
+  let buffer = '';
+  for await (const fragment of fragments) {
+    buffer += fragment;
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Extracts the text carried by a single streamed event payload
+ * Understands plain strings and the common shapes emitted by Strands and AgentCore agents
+ * @param {*} payload - Parsed JSON payload of one event
+ * @returns {string} Text to append to the message, or empty string if the event carries none
+ */
+export const extractEventText = (payload) => {
+  if (typeof payload === 'string') {
+    return payload;
+  }
+  if (!payload || typeof payload !== 'object') {
+    return '';
+  }
+  if (typeof payload.text === 'string') {
+    return payload.text;
+  }
+  if (typeof payload.data === 'string') {
+    return payload.data;
+  }
+  if (typeof payload.delta?.text === 'string') {
+    return payload.delta.text;
+  }
+  if (typeof payload.event?.contentBlockDelta?.delta?.text === 'string') {
+    return payload.event.contentBlockDelta.delta.text;
+  }
+  const content = payload.result?.content || payload.content;
+  if (Array.isArray(content)) {
+    return content.map(block => (typeof block?.text === 'string' ? block.text : '')).join('');
+  }
+  if (typeof payload.result === 'string') {
+    return payload.result;
+  }
+  if (typeof payload.response === 'string') {
+    return payload.response;
+  }
+  return '';
+};
+
+/**
+ * Parses the data of one streamed event
+ * Objects are JSON events and JSON strings are decoded, as the AgentCore SDK writes each yielded token as
+ * json.dumps(token). Other data, such as a token 42 or true, is text as sent.
+ * @param {string} data - Data of an SSE event or an NDJSON line
+ * @returns {*} The parsed object or string, the raw data otherwise, or undefined for the [DONE] marker
+ */
+const parseEventData = (data) => {
+  if (data.trim() === '[DONE]') {
+    return undefined;
+  }
+  try {
+    const payload = JSON.parse(data);
+    if ((payload && typeof payload === 'object') || typeof payload === 'string') {
+      return payload;
+    }
+  } catch {
+    // Not JSON: plain text data
+  }
+  return data;
+};
+
+/**
+ * Groups the lines of a Server-Sent Events or NDJSON stream into event payloads
+ * The data lines of an SSE event are joined with newlines and dispatched at the blank line ending the
+ * event; other lines are NDJSON events of their own. Data is not trimmed, as streamed text tokens
+ * carry their leading spaces; only the optional space after "data:" is removed.
+ * @param {AsyncIterable<string>} lines - Lines of the stream, e.g. from readLines
+ * @yields {*} The parsed payload of each event, or its raw data if it is not a JSON object
+ */
+export async function* readStreamEvents(lines) {
+  let dataLines = [];
+  const dispatch = () => {
+    const payload = dataLines.length > 0 ? parseEventData(dataLines.join('\n')) : undefined;
+    dataLines = [];
+    return payload;
+  };
+
+  for await (const line of lines) {
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice('data:'.length).replace(/^ /, ''));
+      continue;
+    }
+    // SSE metadata and comment lines carry no message content
+    if (/^(event|id|retry):/.test(line) || line.startsWith(':')) {
+      continue;
+    }
+    // A blank line ends an SSE event; any other line is an NDJSON event
+    const event = dispatch();
+    if (event !== undefined) {
+      yield event;
+    }
+    const payload = line.trim() ? parseEventData(line) : undefined;
+    if (payload !== undefined) {
+      yield payload;
+    }
+  }
+
+  const event = dispatch();
+  if (event !== undefined) {
+    yield event;
+  }
+}
+
+/**
+ * @param {string} contentType - Content type reported for the response body
+ * @returns {boolean} True if the body is a line-delimited stream (SSE or NDJSON)
+ */
+export const isLineDelimited = (contentType = '') => /event-stream|ndjson|jsonl/i.test(contentType);
@@ -0,0 +1,76 @@
+/**
+ * Text read aloud for agent responses
+ * Markdown syntax is removed so it is not spelled out; code blocks, diagrams and formulas are
+ * announced instead of read.
+ */
+
+// Longest text given to a single utterance; some browsers stop reading long utterances early
+const MAX_UTTERANCE_LENGTH = 200;
+
+/**
+ * Converts the markdown of a message to plain sentences
+ * @param {string} markdown - Message text
+ * @returns {string} Text to read aloud
+ */
+export const toSpeechText = (markdown) => (markdown || '')
+  // Fenced blocks: diagrams and code are announced
+  .replace(/^(```|~~~)\s*([\w-]*)[^\n]*\n[\s\S]*?(^\1\s*$|(?![\s\S]))/gm, (match, fence, language) => (
+    ['mermaid', 'vega-lite', 'vegalite'].includes(language.toLowerCase()) ? '\nDiagram omitted.\n' : '\nCode omitted.\n'
+  ))
+  .replace(/\$\$[\s\S]*?\$\$/g, ' Formula omitted. ')
+  .replace(/<[^>]+>/g, ' ')
+  // Images are read as their description, links as their text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[\^[^\]]+\]:?/g, '')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/https?:\/\/[^\s<>]*[^\s<>.,;:!?)]/g, 'link')
+  .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t#]*$/gm, '$1')
+  .replace(/^[ \t]*>[ \t]?/gm, '')
+  .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+  .replace(/^[ \t]*([-*+]|\d+[.)])[ \t]+(\[[ xX]\][ \t]+)?/gm, '')
+  // Tables: separator rows are dropped and cells read as a list
+  .replace(/^[ \t]*\|?([ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/gm, '')
+  .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, cells) => cells.split('|').map(cell => cell.trim()).filter(Boolean).join(', '))
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/\*([^*\n]+)\*/g, '$1')
+  .replace(/(^|\W)_([^_\n]+)_(?=\W|$)/g, '$1$2')
+  .replace(/~~(.+?)~~/g, '$1')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim()
+  // Headings, list items and table rows end a sentence
+  .replace(/([^.!?:;,\n])(?=\n|$)/g, '$1.');
+
+/**
+ * Splits text into utterances at sentence boundaries
+ * Sentences longer than the limit are split between words
+ * @param {string} text - Text returned by toSpeechText
+ * @returns {Array<string>} Utterances in reading order
+ */
+export const splitForSpeech = (text) => {
+  const sentences = (text || '').match(/[^.!?\n]+([.!?]+|\n|$)/g) || [];
+  const chunks = [];
+  let current = '';
+  sentences.map(sentence => sentence.trim()).filter(Boolean).forEach(sentence => {
+    if (current && current.length + sentence.length + 1 > MAX_UTTERANCE_LENGTH) {
+      chunks.push(current);
+      current = '';
+    }
+    if (sentence.length <= MAX_UTTERANCE_LENGTH) {
+      current = current ? `${current} ${sentence}` : sentence;
+      return;
+    }
+    sentence.split(' ').forEach(word => {
+      if (current && current.length + word.length + 1 > MAX_UTTERANCE_LENGTH) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+    });
+  });
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+};
@@ -0,0 +1,220 @@
+/**
+ * Conversion of Bedrock Agent trace events into timeline steps for the trace inspector
+ * Steps are plain serializable objects so they can be stored alongside the message
+ */
+
+// Maximum length of free text kept per step, model prompts can be several kilobytes long
+const MAX_DETAIL_LENGTH = 2000;
+
+/**
+ * Shortens long text so stored traces stay small
+ * @param {string} text - Text to shorten
+ * @returns {string} The text, truncated with an ellipsis if needed
+ */
+const truncate = (text) => {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return text.length > MAX_DETAIL_LENGTH ? `${text.substring(0, MAX_DETAIL_LENGTH)}…` : text;
+};
+
+/**
+ * Builds a step describing a model invocation and its token usage
+ * @param {string} stage - Orchestration stage the model was invoked in
+ * @param {Object} output - modelInvocationOutput of the trace
+ * @returns {Object} Timeline step
+ */
+const modelInvocationStep = (stage, output) => {
+  const usage = output?.metadata?.usage;
+  return {
+    type: 'model-invocation',
+    title: `Model invocation (${stage})`,
+    detail: usage ? `Input tokens: ${usage.inputTokens ?? '-'}, output tokens: ${usage.outputTokens ?? '-'}` : '',
+  };
+};
+
+/**
+ * Builds steps for an invocation input (action group, knowledge base or code interpreter call)
+ * @param {Object} invocationInput - invocationInput of an orchestration trace
+ * @returns {Array<Object>} Timeline steps
+ */
+const invocationInputSteps = (invocationInput) => {
+  const steps = [];
+  const actionGroup = invocationInput.actionGroupInvocationInput;
+  if (actionGroup) {
+    const operation = actionGroup.function || [actionGroup.verb?.toUpperCase(), actionGroup.apiPath].filter(Boolean).join(' ');
+    // Request body parameters are grouped by media type
+    const requestBodyParameters = Object.values(actionGroup.requestBody?.content || {}).flat();
+    steps.push({
+      type: 'action-group',
+      title: `Action group call: ${actionGroup.actionGroupName || 'unknown'}`,
+      detail: operation,
+      parameters: [...(actionGroup.parameters || []), ...requestBodyParameters]
+        .map(({ name, value }) => ({ name, value: truncate(String(value)) })),
+    });
+  }
+  const knowledgeBase = invocationInput.knowledgeBaseLookupInput;
+  if (knowledgeBase) {
+    steps.push({
+      type: 'knowledge-base',
+      title: `Knowledge base lookup: ${knowledgeBase.knowledgeBaseId || 'unknown'}`,
+      detail: truncate(knowledgeBase.text),
+    });
+  }
+  const codeInterpreter = invocationInput.codeInterpreterInvocationInput;
+  if (codeInterpreter) {
+    steps.push({
+      type: 'code-interpreter',
+      title: 'Code interpreter',
+      detail: truncate(codeInterpreter.code),
+    });
+  }
+  return steps;
+};
+
+/**
+ * Builds steps for an observation (result of an action, lookup or final answer)
+ * @param {Object} observation - observation of an orchestration trace
+ * @returns {Array<Object>} Timeline steps
+ */
+const observationSteps = (observation) => {
+  const steps = [];
+  if (observation.actionGroupInvocationOutput) {
+    steps.push({
+      type: 'action-result',
+      title: 'API result',
+      detail: truncate(observation.actionGroupInvocationOutput.text),
+    });
+  }
+  if (observation.knowledgeBaseLookupOutput) {
+    const references = observation.knowledgeBaseLookupOutput.retrievedReferences || [];
+    steps.push({
+      type: 'knowledge-base-result',
+      title: `Knowledge base references (${references.length})`,
+      references: references.map(reference => ({
+        location: reference.location?.s3Location?.uri
+          || reference.location?.webLocation?.url
+          || reference.location?.type
+          || '',
+        text: truncate(reference.content?.text),
+      })),
+    });
+  }
+  if (observation.codeInterpreterInvocationOutput) {
+    const output = observation.codeInterpreterInvocationOutput;
+    steps.push({
+      type: 'code-interpreter-result',
+      title: 'Code interpreter result',
+      detail: truncate(output.executionError || output.executionOutput),
+    });
+  }
+  if (observation.repromptResponse) {
+    steps.push({
+      type: 'reprompt',
+      title: 'Reprompt',
+      detail: truncate(observation.repromptResponse.text),
+    });
+  }
+  if (observation.finalResponse) {
+    steps.push({
+      type: 'final-response',
+      title: 'Final response',
+      detail: truncate(observation.finalResponse.text),
+    });
+  }
+  return steps;
+};
+
+/**
+ * Builds a step describing a guardrail assessment
+ * @param {Object} guardrailTrace - guardrailTrace of a trace event
+ * @returns {Object} Timeline step
+ */
+const guardrailStep = (guardrailTrace) => {
+  const assessments = [...(guardrailTrace.inputAssessments || []), ...(guardrailTrace.outputAssessments || [])];
+  const policies = assessments.flatMap(assessment => Object.keys(assessment).filter(key => assessment[key]));
+  return {
+    type: 'guardrail',
+    title: `Guardrail ${guardrailTrace.action === 'INTERVENED' ? 'intervened' : 'passed'}`,
+    detail: policies.length > 0 ? `Assessed policies: ${[...new Set(policies)].join(', ')}` : '',
+    intervened: guardrailTrace.action === 'INTERVENED',
+  };
+};
+
+/**
+ * Builds a step for a tool called by an agent that reports tool use in its content blocks, e.g. an AgentCore runtime
+ * @param {string} name - Tool name
+ * @param {*} input - Tool input, usually an object of parameters
+ * @returns {Object} Timeline step
+ */
+export const toolUseStep = (name, input) => {
+  const isObject = !!input && typeof input === 'object' && !Array.isArray(input);
+  return {
+    type: 'action-group',
+    title: `Tool call: ${name || 'unknown'}`,
+    detail: !isObject && input !== undefined ? truncate(JSON.stringify(input)) : '',
+    parameters: isObject
+      ? Object.entries(input).map(([key, value]) => ({
+        name: key,
+        value: truncate(typeof value === 'string' ? value : JSON.stringify(value))
+      }))
+      : [],
+  };
+};
+
+/**
+ * Builds a step for the result of a tool call
+ * @param {string} text - Result, as text
+ * @param {boolean} isError - True if the tool failed
+ * @returns {Object} Timeline step
+ */
+export const toolResultStep = (text, isError) => ({
+  type: isError ? 'failure' : 'action-result',
+  title: isError ? 'Tool error' : 'Tool result',
+  detail: truncate(text),
+});
+
+/**
+ * Converts a single Bedrock Agent trace into timeline steps
+ * @param {Object} trace - The `trace` member of a TracePart event
+ * @returns {Array<Object>} Timeline steps, empty for traces that carry nothing worth showing
+ */
+export const toTraceSteps = (trace) => {
+  if (!trace) {
+    return [];
+  }
+  const steps = [];
+
+  const stages = {
+    preProcessingTrace: 'pre-processing',
+    orchestrationTrace: 'orchestration',
+    postProcessingTrace: 'post-processing',
+    routingClassifierTrace: 'routing',
+  };
+  Object.entries(stages).forEach(([key, stage]) => {
+    const stageTrace = trace[key];
+    if (!stageTrace) {
+      return;
+    }
+    if (stageTrace.modelInvocationOutput) {
+      steps.push(modelInvocationStep(stage, stageTrace.modelInvocationOutput));
+    }
+    if (stageTrace.rationale?.text) {
+      steps.push({ type: 'rationale', title: 'Rationale', detail: truncate(stageTrace.rationale.text) });
+    }
+    if (stageTrace.invocationInput) {
+      steps.push(...invocationInputSteps(stageTrace.invocationInput));
+    }
+    if (stageTrace.observation) {
+      steps.push(...observationSteps(stageTrace.observation));
+    }
+  });
+
+  if (trace.guardrailTrace) {
+    steps.push(guardrailStep(trace.guardrailTrace));
+  }
+  if (trace.failureTrace) {
+    steps.push({ type: 'failure', title: 'Failure', detail: truncate(trace.failureTrace.failureReason) });
+  }
+  return steps;
+};
@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+import { fetchAuthSession } from 'aws-amplify/auth';
+import { isAccessDenied } from './agentDiscovery';
+
+// Delay after the last change of the inputs before listing, in milliseconds
+const LIST_DELAY = 500;
+
+/**
+ * Lists agents with the signed in user's identity pool credentials
+ * status is 'idle' when listing is disabled, 'loading', 'loaded', 'denied' when the role lacks
+ * list permissions, 'signedOut' when no credentials are available, or 'error'
+ * @param {Function|null} list - Async function receiving AWS credentials and returning the items; null disables listing
+ * @returns {Object} { status, items, error }
+ */
+export default function useAgentDiscovery(list) {
+  const [discovery, setDiscovery] = useState({ status: 'idle', items: [] });
+
+  useEffect(() => {
+    if (!list) {
+      setDiscovery({ status: 'idle', items: [] });
+      return;
+    }
+    let cancelled = false;
+    setDiscovery(prev => ({ ...prev, status: 'loading' }));
+    const timer = setTimeout(async () => {
+      try {
+        const { credentials } = await fetchAuthSession();
+        if (!credentials) {
+          !cancelled && setDiscovery({ status: 'signedOut', items: [] });
+          return;
+        }
+        const items = await list(credentials);
+        !cancelled && setDiscovery({ status: 'loaded', items });
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.error('Error listing agents:', error);
+        setDiscovery({ status: isAccessDenied(error) ? 'denied' : 'error', items: [], error: error.message });
+      }
+    }, LIST_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [list]);
+
+  return discovery;
+}
@@ -1,9 +1,28 @@
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { appendDictation, applyVoiceCommands } from './dictation';
 
-export default function useSpeechToText() {
+// Errors after which continuous dictation is not restarted
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'network', 'audio-capture', 'language-not-supported'];
+
+/**
+ * Dictates prompts with the browser's speech recognition
+ * @param {Object} [settings] - Speech settings of the configuration
+ * @param {string} [settings.language] - BCP 47 tag of the dictation language; the browser language when empty
+ * @param {boolean} [settings.continuousDictation] - Keep listening through pauses until stopped, with punctuation voice commands
+ * @returns {Object} { transcript, interimTranscript, isListening, error, startListening, stopListening, abortListening,
+ *   discardInterim, setTranscript, clearError, speechRecognitionSupported }
+ */
+export default function useSpeechToText({ language = '', continuousDictation = false } = {}) {
+  // Final text dictated since listening started
   const [transcript, setTranscript] = useState('');
+  // Words heard but not final yet
+  const [interimTranscript, setInterimTranscript] = useState('');
   const [isListening, setIsListening] = useState(false);
+  // error of the last SpeechRecognitionErrorEvent, such as 'no-speech', 'not-allowed' or 'network'
+  const [error, setError] = useState(null);
   const recognitionRef = useRef(null);
+  // True while continuous dictation should go on; browsers end recognition after a silence
+  const keepListeningRef = useRef(false);
   const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
   const speechRecognitionSupported = !!SpeechRecognition;
 
@@ -16,37 +35,124 @@ export default function useSpeechToText() {
     const recognition = new SpeechRecognition();
     recognition.continuous = false;
     recognition.interimResults = true;
-    recognition.lang = 'en-US';
+    recognition.lang = language || navigator.language || 'en-US';
 
     recognition.onresult = (event) => {
+      let interim = '';
       for (let i = event.resultIndex; i < event.results.length; i++) {
         const speechResult = event.results[i];
         if (speechResult.isFinal) {
-          setTranscript((prev) => prev + speechResult[0].transcript + ' ');
+          const phrase = recognition.continuous
+            ? applyVoiceCommands(speechResult[0].transcript, recognition.lang)
+            : speechResult[0].transcript;
+          setTranscript((prev) => appendDictation(prev, phrase));
+        } else {
+          interim += speechResult[0].transcript;
         }
       }
+      setInterimTranscript(interim);
+    };
+
+    recognition.onerror = (event) => {
+      // Stopping continuous dictation aborts recognition; pauses are expected in continuous dictation
+      if (event.error === 'aborted' || (event.error === 'no-speech' && keepListeningRef.current)) {
+        return;
+      }
+      console.error('Speech recognition error:', event.error);
+      setError(event.error);
+      if (FATAL_ERRORS.includes(event.error)) {
+        keepListeningRef.current = false;
+      }
     };
 
     recognition.onend = () => {
+      if (keepListeningRef.current) {
+        try {
+          recognition.start();
+          return;
+        } catch (startError) {
+          console.error('Error restarting speech recognition:', startError);
+        }
+      }
+      keepListeningRef.current = false;
+      setInterimTranscript('');
       setIsListening(false);
     };
 
     recognitionRef.current = recognition;
-  }, [SpeechRecognition]);
+    return () => {
+      keepListeningRef.current = false;
+      recognition.onend = null;
+      recognition.abort();
+      setIsListening(false);
+    };
+  }, [SpeechRecognition, language]);
 
-  const startListening = () => {
-    if (recognitionRef.current && !isListening) {
+  /**
+   * Starts listening
+   * @param {Object} [options] - Listening options
+   * @param {boolean} [options.continuous] - Overrides the continuous dictation setting, e.g. to end after one phrase
+   */
+  const startListening = useCallback(({ continuous = continuousDictation } = {}) => {
+    const recognition = recognitionRef.current;
+    if (recognition && !isListening) {
       setTranscript('');
-      recognitionRef.current.start();
-      setIsListening(true);
+      setInterimTranscript('');
+      setError(null);
+      recognition.continuous = continuous;
+      keepListeningRef.current = continuous;
+      try {
+        recognition.start();
+        setIsListening(true);
+      } catch (startError) {
+        console.error('Error starting speech recognition:', startError);
+        keepListeningRef.current = false;
+      }
     }
-  };
+  }, [continuousDictation, isListening]);
 
-  const stopListening = () => {
+  const stopListening = useCallback(() => {
+    keepListeningRef.current = false;
     if (recognitionRef.current && isListening) {
       recognitionRef.current.stop();
     }
-  };
+  }, [isListening]);
+
+  /**
+   * Stops listening and drops the words not final yet, e.g. when the prompt is sent as shown
+   */
+  const abortListening = useCallback(() => {
+    keepListeningRef.current = false;
+    setInterimTranscript('');
+    if (recognitionRef.current && isListening) {
+      recognitionRef.current.abort();
+    }
+  }, [isListening]);
 
-  return { transcript, isListening, startListening, stopListening, setTranscript, speechRecognitionSupported };
+  /**
+   * Drops the words not final yet, e.g. after the user edited them
+   * Recognition is aborted so they never arrive as final text; continuous dictation listens again
+   */
+  const discardInterim = useCallback(() => {
+    setInterimTranscript('');
+    if (recognitionRef.current && isListening) {
+      recognitionRef.current.abort();
+    }
+  }, [isListening]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return {
+    transcript,
+    interimTranscript,
+    isListening,
+    error,
+    startListening,
+    stopListening,
+    abortListening,
+    discardInterim,
+    setTranscript,
+    clearError,
+    speechRecognitionSupported
+  };
 }
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { toSpeechText, splitForSpeech } from './speechText';
+
+/**
+ * Reads messages aloud with the browser's speech synthesis
+ * Markdown is converted to plain sentences first, see speechText.js
+ * @param {Object} [settings] - Speech settings of the configuration
+ * @param {string} [settings.voice] - voiceURI of the voice to use; the browser default when empty or not installed
+ * @param {number} [settings.rate] - Speaking rate, 1 being normal speed
+ * @returns {Object} { speak, stop, speakingId, voices, speechSynthesisSupported }
+ */
+export default function useTextToSpeech({ voice = '', rate = 1 } = {}) {
+  const synthesis = window.speechSynthesis;
+  const speechSynthesisSupported = !!synthesis && typeof window.SpeechSynthesisUtterance === 'function';
+  // Voices installed in the browser; some browsers load them asynchronously
+  const [voices, setVoices] = useState([]);
+  // Identifier of the message being read
+  const [speakingId, setSpeakingId] = useState(null);
+  // Changed by every speak and stop call so events of cancelled utterances are ignored
+  const generationRef = useRef(0);
+
+  useEffect(() => {
+    if (!speechSynthesisSupported) {
+      return;
+    }
+    const loadVoices = () => setVoices(synthesis.getVoices());
+    loadVoices();
+    synthesis.addEventListener('voiceschanged', loadVoices);
+    return () => {
+      synthesis.removeEventListener('voiceschanged', loadVoices);
+      // Nothing keeps talking once the component is gone
+      synthesis.cancel();
+    };
+  }, [synthesis, speechSynthesisSupported]);
+
+  /**
+   * Stops reading
+   */
+  const stop = useCallback(() => {
+    generationRef.current += 1;
+    if (speechSynthesisSupported) {
+      synthesis.cancel();
+    }
+    setSpeakingId(null);
+  }, [synthesis, speechSynthesisSupported]);
+
+  /**
+   * Reads a message aloud, interrupting any message being read
+   * @param {string} markdown - Message text
+   * @param {string} id - Message identifier, reported as speakingId while it is read
+   * @param {Object} [options] - Reading options
+   * @param {Function} [options.onEnd] - Called once the whole message was read, not when reading is stopped
+   */
+  const speak = useCallback((markdown, id, { onEnd } = {}) => {
+    if (!speechSynthesisSupported) {
+      return;
+    }
+    generationRef.current += 1;
+    const generation = generationRef.current;
+    synthesis.cancel();
+    const utterances = splitForSpeech(toSpeechText(markdown));
+    if (utterances.length === 0) {
+      setSpeakingId(null);
+      onEnd?.();
+      return;
+    }
+    const selectedVoice = voices.find(installed => installed.voiceURI === voice);
+    setSpeakingId(id);
+    utterances.forEach((text, index) => {
+      const utterance = new window.SpeechSynthesisUtterance(text);
+      if (selectedVoice) {
+        utterance.voice = selectedVoice;
+        utterance.lang = selectedVoice.lang;
+      }
+      utterance.rate = Number(rate) || 1;
+      utterance.onerror = (event) => {
+        // Cancelling fires errors on the queued utterances
+        if (generationRef.current === generation && !['interrupted', 'canceled'].includes(event.error)) {
+          console.error('Error reading message aloud:', event.error);
+          generationRef.current += 1;
+          setSpeakingId(null);
+        }
+      };
+      if (index === utterances.length - 1) {
+        utterance.onend = () => {
+          if (generationRef.current === generation) {
+            setSpeakingId(null);
+            onEnd?.();
+          }
+        };
+      }
+      synthesis.speak(utterance);
+    });
+  }, [synthesis, speechSynthesisSupported, voices, voice, rate]);
+
+  return { speak, stop, speakingId, voices, speechSynthesisSupported };
+}